@@ -0,0 +1,177 @@
+import { mkdir, readdir } from 'fs/promises';
+import { dirname, join } from 'path';
+import { lineDate, readLines, writeLines } from './history.js';
+import { readSeries } from './reader.js';
+import { round } from './utils.js';
+
+export const PERIODS = ['weekly', 'monthly', 'yearly'];
+
+const DAY = 86400000;
+
+/**
+ * @param {string} date YYYY-MM-DD
+ * @param {'weekly' | 'monthly' | 'yearly'} period
+ * @returns {string} ISO week (2024-W01), month (2024-01) or year (2024)
+ */
+export const periodOf = (date, period) => {
+  switch (period) {
+    case 'weekly': {
+      const time = Date.parse(date);
+      const weekday = (new Date(time).getUTCDay() + 6) % 7;
+      // ISO weeks belong to the year of their Thursday
+      const thursday = new Date(time + (3 - weekday) * DAY);
+      const year = thursday.getUTCFullYear();
+      const week = Math.floor((thursday - Date.UTC(year, 0, 1)) / DAY / 7);
+
+      return `${year}-W${String(week + 1).padStart(2, '0')}`;
+    }
+
+    case 'monthly':
+      return date.substring(0, 7);
+
+    case 'yearly':
+      return date.substring(0, 4);
+  }
+
+  throw new Error(`Unknown period "${period}"`);
+};
+
+/**
+ * @param {string} date YYYY-MM-DD
+ * @param {'weekly' | 'monthly' | 'yearly'} period
+ * @returns {string} first day of the period `date` is in
+ */
+export const periodStart = (date, period) => {
+  switch (period) {
+    case 'weekly': {
+      const time = Date.parse(date);
+      const weekday = (new Date(time).getUTCDay() + 6) % 7;
+
+      return new Date(time - weekday * DAY).toJSON().substring(0, 10);
+    }
+
+    case 'monthly':
+      return `${date.substring(0, 7)}-01`;
+
+    case 'yearly':
+      return `${date.substring(0, 4)}-01-01`;
+  }
+
+  throw new Error(`Unknown period "${period}"`);
+};
+
+/**
+ * Summarises rates per period as `period,open,high,low,close,mean,count`
+ * lines. Rows without a rate are left out, and so are periods without
+ * any rate.
+ *
+ * @param {import('./reader.js').Rate[]} rates in date order
+ * @param {'weekly' | 'monthly' | 'yearly'} period
+ * @param {object} options
+ * @param {number} options.precision significant digits of the mean
+ * @returns {string[]}
+ */
+export const aggregateRates = (rates, period, options) => {
+  const groups = new Map();
+
+  for (const { date, rate } of rates) {
+    if (rate === null) {
+      continue;
+    }
+
+    const key = periodOf(date, period);
+
+    if (!groups.has(key)) {
+      groups.set(key, []);
+    }
+
+    groups.get(key).push(rate);
+  }
+
+  return [...groups].map(([key, values]) => {
+    const sum = values.reduce((total, value) => total + value, 0);
+
+    return [
+      key,
+      values[0],
+      Math.max(...values),
+      Math.min(...values),
+      values.at(-1),
+      round(sum / values.length, options.precision),
+      values.length,
+    ].join(',');
+  });
+};
+
+/**
+ * Regenerates `<BASE>/<period>/<QUOTE>.csv` from the history. With
+ * `from`, only the periods from the one `from` is in are recomputed,
+ * and only the history since then is read.
+ *
+ * @param {string} outputDir
+ * @param {string} base
+ * @param {string} quote
+ * @param {'weekly' | 'monthly' | 'yearly'} period
+ * @param {object} options
+ * @param {string=} options.from
+ * @param {number} options.precision
+ * @returns {Promise<void>}
+ */
+export const updateAggregates = async (
+  outputDir,
+  base,
+  quote,
+  period,
+  options
+) => {
+  const path = join(outputDir, base, period, `${quote}.csv`);
+  const existing = await readLines(path);
+  const start =
+    options.from && existing.length > 0
+      ? periodStart(options.from, period)
+      : undefined;
+
+  const kept = start
+    ? existing.filter((line) => lineDate(line) < periodOf(start, period))
+    : [];
+
+  const rates = await readSeries(base, quote, { from: start, dir: outputDir });
+
+  await mkdir(dirname(path), { recursive: true });
+  await writeLines(path, [
+    ...kept,
+    ...aggregateRates(rates, period, { precision: options.precision }),
+  ]);
+};
+
+/**
+ * Updates the `periods` aggregates of every `<BASE>/<QUOTE>.csv` history
+ * in `outputDir` and resolves with the quotes aggregated.
+ *
+ * @param {string} outputDir
+ * @param {string} base
+ * @param {object} options
+ * @param {('weekly' | 'monthly' | 'yearly')[]} options.periods
+ * @param {string=} options.from first date that may have changed, all
+ *   periods are recomputed without it
+ * @param {number} options.precision
+ * @returns {Promise<string[]>}
+ */
+export const aggregateBase = async (outputDir, base, options) => {
+  const { periods, from, precision } = options;
+  const quotes = (await readdir(join(outputDir, base)))
+    .filter((name) => /^[A-Z]{3}\.csv$/.test(name))
+    .map((name) => name.substring(0, 3))
+    .sort();
+
+  for (const quote of quotes) {
+    for (const period of periods) {
+      await updateAggregates(outputDir, base, quote, period, {
+        from,
+        precision,
+      });
+    }
+  }
+
+  return quotes;
+};
@@ -0,0 +1,144 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdir, mkdtemp, readFile, rm, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import {
+  aggregateBase,
+  aggregateRates,
+  periodOf,
+  periodStart,
+  updateAggregates,
+} from './aggregate.js';
+
+describe('periodOf', () => {
+  it('should return ISO weeks, months and years', () => {
+    assert.equal(periodOf('2024-01-01', 'weekly'), '2024-W01');
+    assert.equal(periodOf('2024-12-30', 'weekly'), '2025-W01');
+    assert.equal(periodOf('2021-01-03', 'weekly'), '2020-W53');
+    assert.equal(periodOf('2024-02-29', 'monthly'), '2024-02');
+    assert.equal(periodOf('2024-02-29', 'yearly'), '2024');
+  });
+
+  it('should throw for unknown periods', () => {
+    assert.throws(
+      () => periodOf('2024-01-01', 'daily'),
+      new Error('Unknown period "daily"')
+    );
+  });
+});
+
+describe('periodStart', () => {
+  it('should return the first day of the period', () => {
+    assert.equal(periodStart('2021-01-03', 'weekly'), '2020-12-28');
+    assert.equal(periodStart('2024-01-01', 'weekly'), '2024-01-01');
+    assert.equal(periodStart('2024-02-29', 'monthly'), '2024-02-01');
+    assert.equal(periodStart('2024-02-29', 'yearly'), '2024-01-01');
+  });
+});
+
+describe('aggregateRates', () => {
+  it('should summarise each period', () => {
+    const rates = [
+      { date: '2024-01-30', rate: 1.2 },
+      { date: '2024-01-31', rate: 1.1 },
+      { date: '2024-02-01', rate: null },
+      { date: '2024-02-02', rate: 1.3 },
+      { date: '2024-02-05', rate: 1.5 },
+      { date: '2024-02-06', rate: 1.4 },
+    ];
+
+    assert.deepEqual(aggregateRates(rates, 'monthly', { precision: 8 }), [
+      '2024-01,1.2,1.2,1.1,1.1,1.15,2',
+      '2024-02,1.3,1.5,1.3,1.4,1.4,3',
+    ]);
+  });
+
+  it('should leave out periods without rates', () => {
+    const rates = [
+      { date: '2023-12-29', rate: null },
+      { date: '2024-01-02', rate: 3 },
+    ];
+
+    assert.deepEqual(aggregateRates(rates, 'yearly', { precision: 8 }), [
+      '2024,3,3,3,3,3,1',
+    ]);
+  });
+
+  it('should round means to the precision', () => {
+    const rates = [1, 1, 2].map((rate, i) => {
+      return { date: `2024-01-0${i + 1}`, rate };
+    });
+
+    assert.deepEqual(aggregateRates(rates, 'weekly', { precision: 3 }), [
+      '2024-W01,1,2,1,2,1.33,3',
+    ]);
+  });
+});
+
+describe('updateAggregates', () => {
+  let tempDir;
+
+  beforeEach(async () => {
+    tempDir = await mkdtemp(join(tmpdir(), 'aggregate-'));
+    await mkdir(join(tempDir, 'EUR'));
+    await writeFile(
+      join(tempDir, 'EUR', 'USD.csv'),
+      '2024-01-31,1\n2024-02-01,2\n2024-02-02,4\n'
+    );
+  });
+
+  afterEach(async () => {
+    await rm(tempDir, { recursive: true, force: true });
+  });
+
+  it('should write every period without a previous file', async () => {
+    await updateAggregates(tempDir, 'EUR', 'USD', 'monthly', {
+      from: '2024-02-02',
+      precision: 8,
+    });
+
+    assert.equal(
+      await readFile(join(tempDir, 'EUR', 'monthly', 'USD.csv'), 'utf-8'),
+      '2024-01,1,1,1,1,1,1\n2024-02,2,4,2,4,3,2\n'
+    );
+  });
+
+  it('should only recompute periods from "from" on', async () => {
+    await mkdir(join(tempDir, 'EUR', 'monthly'));
+    await writeFile(
+      join(tempDir, 'EUR', 'monthly', 'USD.csv'),
+      '2024-01,9,9,9,9,9,9\n2024-02,2,2,2,2,2,1\n'
+    );
+
+    await updateAggregates(tempDir, 'EUR', 'USD', 'monthly', {
+      from: '2024-02-02',
+      precision: 8,
+    });
+
+    assert.equal(
+      await readFile(join(tempDir, 'EUR', 'monthly', 'USD.csv'), 'utf-8'),
+      '2024-01,9,9,9,9,9,9\n2024-02,2,4,2,4,3,2\n'
+    );
+  });
+
+  it('should aggregate every history of a base', async () => {
+    await writeFile(join(tempDir, 'EUR', 'JPY.csv'), '2024-02-01,150\n');
+    await writeFile(join(tempDir, 'EUR', 'JPY.latest.csv'), '2024-02-02,1\n');
+
+    const quotes = await aggregateBase(tempDir, 'EUR', {
+      periods: ['weekly', 'yearly'],
+      precision: 8,
+    });
+
+    assert.deepEqual(quotes, ['JPY', 'USD']);
+    assert.equal(
+      await readFile(join(tempDir, 'EUR', 'weekly', 'JPY.csv'), 'utf-8'),
+      '2024-W05,150,150,150,150,150,1\n'
+    );
+    assert.equal(
+      await readFile(join(tempDir, 'EUR', 'yearly', 'USD.csv'), 'utf-8'),
+      '2024,1,4,1,4,2.3333333,3\n'
+    );
+  });
+});
@@ -0,0 +1,201 @@
+import { readSeries } from './reader.js';
+import { round } from './utils.js';
+
+/**
+ * @typedef {object} AnalysisRow
+ * @property {string} date
+ * @property {number} rate
+ * @property {number | null} return log return since the previous rate
+ * @property {number | null} volatility sample standard deviation of the
+ *   last `window` returns
+ * @property {number | null} sma mean of the last `window` rates
+ * @property {number | null} ema exponential moving average, seeded with
+ *   the first `sma`
+ * @property {number} drawdown fall from the highest rate so far
+ */
+
+/**
+ * @typedef {object} Drawdown
+ * @property {number} value largest fall from a peak, 0.25 for 25%
+ * @property {string | null} peak
+ * @property {string | null} trough
+ */
+
+/**
+ * @typedef {object} Analysis
+ * @property {string} base
+ * @property {string} quote
+ * @property {number} window
+ * @property {AnalysisRow[]} rows
+ * @property {Drawdown} maxDrawdown
+ */
+
+export const ANALYSIS_COLUMNS = [
+  'date',
+  'rate',
+  'return',
+  'volatility',
+  'sma',
+  'ema',
+  'drawdown',
+];
+
+/**
+ * @param {number[]} values
+ * @returns {number}
+ */
+const mean = (values) => {
+  return values.reduce((total, value) => total + value, 0) / values.length;
+};
+
+/**
+ * @param {number[]} values at least two
+ * @returns {number}
+ */
+const deviation = (values) => {
+  const average = mean(values);
+  const squares = values.map((value) => (value - average) ** 2);
+
+  return Math.sqrt(squares.reduce((a, b) => a + b, 0) / (values.length - 1));
+};
+
+/**
+ * Computes daily log returns, rolling volatility, moving averages and
+ * drawdowns over `rates`, skipping the rows without a rate. Rolling
+ * values are `null` until `window` rates (or returns) are available.
+ *
+ * @param {import('./reader.js').Rate[]} rates in date order
+ * @param {object} options
+ * @param {number} options.window rows per rolling window, at least 2
+ * @param {number} options.precision significant digits
+ * @returns {{ rows: AnalysisRow[], maxDrawdown: Drawdown }}
+ */
+export const analyzeRates = (rates, options) => {
+  const { window, precision } = options;
+
+  if (!Number.isInteger(window) || window < 2) {
+    throw new Error(`Invalid window "${window}"`);
+  }
+
+  const alpha = 2 / (window + 1);
+  const observed = rates.filter(({ rate }) => rate !== null);
+  const returns = [];
+  const rows = [];
+  let maxDrawdown = { value: 0, peak: null, trough: null };
+  let peak = null;
+  let ema = null;
+
+  /**
+   * @param {number | null} value
+   * @returns {number | null}
+   */
+  const rounded = (value) => {
+    return value === null ? null : round(value, precision);
+  };
+
+  observed.forEach(({ date, rate }, i) => {
+    const previous = observed[i - 1];
+    const logReturn = previous ? Math.log(rate / previous.rate) : null;
+
+    if (logReturn !== null) {
+      returns.push(logReturn);
+    }
+
+    const sma =
+      i + 1 >= window
+        ? mean(observed.slice(i + 1 - window, i + 1).map((row) => row.rate))
+        : null;
+
+    if (ema !== null) {
+      ema += alpha * (rate - ema);
+    } else {
+      ema = sma;
+    }
+
+    if (!peak || rate > peak.rate) {
+      peak = { date, rate };
+    }
+
+    const drawdown = (peak.rate - rate) / peak.rate;
+
+    if (drawdown > maxDrawdown.value) {
+      maxDrawdown = { value: drawdown, peak: peak.date, trough: date };
+    }
+
+    rows.push({
+      date,
+      rate,
+      return: rounded(logReturn),
+      volatility: rounded(
+        returns.length >= window ? deviation(returns.slice(-window)) : null
+      ),
+      sma: rounded(sma),
+      ema: rounded(ema),
+      drawdown: rounded(drawdown),
+    });
+  });
+
+  return {
+    rows,
+    maxDrawdown: { ...maxDrawdown, value: rounded(maxDrawdown.value) },
+  };
+};
+
+/**
+ * Analyses the stored `base`/`quote` history between `from` and `to`,
+ * see `analyzeRates`.
+ *
+ * @param {object} options
+ * @param {string=} options.base "EUR" by default
+ * @param {string} options.quote
+ * @param {string=} options.from YYYY-MM-DD
+ * @param {string=} options.to YYYY-MM-DD
+ * @param {number=} options.window 20 by default
+ * @param {number=} options.precision significant digits, 8 by default
+ * @param {string=} options.dir data directory, "./data/v1" by default
+ * @returns {Promise<Analysis>}
+ */
+export const analyze = async (options) => {
+  const { quote, from, to, dir } = options;
+  const base = options.base ?? 'EUR';
+  const window = options.window ?? 20;
+  const precision = options.precision ?? 8;
+
+  const rates = await readSeries(base, quote, { from, to, dir });
+
+  return { base, quote, window, ...analyzeRates(rates, { window, precision }) };
+};
+
+/**
+ * Formats the rows of `analysis` as CSV, header first, leaving values
+ * that are not available yet empty. The largest drawdown is left out to
+ * keep one row per date, see `formatDrawdown`.
+ *
+ * @param {Analysis} analysis
+ * @returns {string}
+ */
+export const analysisToCsv = (analysis) => {
+  return [
+    ANALYSIS_COLUMNS,
+    ...analysis.rows.map((row) => {
+      return ANALYSIS_COLUMNS.map((column) => row[column] ?? '');
+    }),
+  ]
+    .map((row) => `${row.join(',')}\n`)
+    .join('');
+};
+
+/**
+ * @param {Analysis} analysis
+ * @returns {string} e.g. "EUR/USD max drawdown 0.25 from 2024-01-02 to
+ *   2024-01-05"
+ */
+export const formatDrawdown = (analysis) => {
+  const { base, quote, maxDrawdown } = analysis;
+  const { value, peak, trough } = maxDrawdown;
+
+  return (
+    `${base}/${quote} max drawdown ${value}` +
+    (peak ? ` from ${peak} to ${trough}` : '')
+  );
+};
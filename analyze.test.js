@@ -0,0 +1,201 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdir, mkdtemp, rm, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import {
+  analysisToCsv,
+  analyze,
+  analyzeRates,
+  formatDrawdown,
+} from './analyze.js';
+import { NotFoundError } from './errors.js';
+
+/**
+ * @param {(number | null)[]} values
+ * @returns {import('./reader.js').Rate[]}
+ */
+const toRates = (values) => {
+  return values.map((rate, i) => {
+    return { date: `2024-01-${String(i + 1).padStart(2, '0')}`, rate };
+  });
+};
+
+describe('analyzeRates', () => {
+  it('should compute returns, volatility and moving averages', () => {
+    const { rows } = analyzeRates(toRates([1, 2, 4, 2]), {
+      window: 2,
+      precision: 4,
+    });
+
+    assert.deepEqual(rows, [
+      {
+        date: '2024-01-01',
+        rate: 1,
+        return: null,
+        volatility: null,
+        sma: null,
+        ema: null,
+        drawdown: 0,
+      },
+      {
+        date: '2024-01-02',
+        rate: 2,
+        return: 0.6931,
+        volatility: null,
+        sma: 1.5,
+        ema: 1.5,
+        drawdown: 0,
+      },
+      {
+        date: '2024-01-03',
+        rate: 4,
+        return: 0.6931,
+        volatility: 0,
+        sma: 3,
+        ema: 3.167,
+        drawdown: 0,
+      },
+      {
+        date: '2024-01-04',
+        rate: 2,
+        return: -0.6931,
+        volatility: 0.9803,
+        sma: 3,
+        ema: 2.389,
+        drawdown: 0.5,
+      },
+    ]);
+  });
+
+  it('should skip rows without a rate', () => {
+    const { rows } = analyzeRates(toRates([2, null, 1]), {
+      window: 2,
+      precision: 4,
+    });
+
+    assert.deepEqual(
+      rows.map(({ date, return: logReturn }) => [date, logReturn]),
+      [
+        ['2024-01-01', null],
+        ['2024-01-03', -0.6931],
+      ]
+    );
+  });
+
+  it('should find the largest drawdown', () => {
+    const { maxDrawdown } = analyzeRates(toRates([2, 1.5, 3, 1.5, 2, 4]), {
+      window: 2,
+      precision: 8,
+    });
+
+    assert.deepEqual(maxDrawdown, {
+      value: 0.5,
+      peak: '2024-01-03',
+      trough: '2024-01-04',
+    });
+  });
+
+  it('should report no drawdown for rising rates', () => {
+    assert.deepEqual(
+      analyzeRates(toRates([1, 2]), { window: 2, precision: 8 }).maxDrawdown,
+      { value: 0, peak: null, trough: null }
+    );
+  });
+
+  it('should reject windows shorter than 2', () => {
+    assert.throws(
+      () => analyzeRates([], { window: 1, precision: 8 }),
+      new Error('Invalid window "1"')
+    );
+  });
+});
+
+describe('analysisToCsv', () => {
+  it('should leave unavailable values empty', () => {
+    const analysis = {
+      base: 'EUR',
+      quote: 'USD',
+      window: 2,
+      ...analyzeRates(toRates([1, 2]), { window: 2, precision: 4 }),
+    };
+
+    assert.equal(
+      analysisToCsv(analysis),
+      'date,rate,return,volatility,sma,ema,drawdown\n' +
+        '2024-01-01,1,,,,,0\n' +
+        '2024-01-02,2,0.6931,,1.5,1.5,0\n'
+    );
+  });
+});
+
+describe('formatDrawdown', () => {
+  it('should tell the largest drawdown and when it happened', () => {
+    const analysis = {
+      base: 'EUR',
+      quote: 'USD',
+      window: 2,
+      ...analyzeRates(toRates([2, 1, 1.5]), { window: 2, precision: 4 }),
+    };
+
+    assert.equal(
+      formatDrawdown(analysis),
+      'EUR/USD max drawdown 0.5 from 2024-01-01 to 2024-01-02'
+    );
+  });
+
+  it('should leave out the dates without a drawdown', () => {
+    const analysis = {
+      base: 'EUR',
+      quote: 'USD',
+      window: 2,
+      ...analyzeRates(toRates([1, 2]), { window: 2, precision: 4 }),
+    };
+
+    assert.equal(formatDrawdown(analysis), 'EUR/USD max drawdown 0');
+  });
+});
+
+describe('analyze', () => {
+  let tempDir;
+
+  beforeEach(async () => {
+    tempDir = await mkdtemp(join(tmpdir(), 'analyze-'));
+    await mkdir(join(tempDir, 'EUR'));
+    await writeFile(
+      join(tempDir, 'EUR', 'USD.csv'),
+      '2024-01-01,1\n2024-01-02,2\n2024-01-03,4\n2024-01-04,2\n'
+    );
+  });
+
+  afterEach(async () => {
+    await rm(tempDir, { recursive: true, force: true });
+  });
+
+  it('should analyse the history between two dates', async () => {
+    const analysis = await analyze({
+      quote: 'USD',
+      from: '2024-01-02',
+      to: '2024-01-03',
+      window: 2,
+      dir: tempDir,
+    });
+
+    assert.equal(analysis.base, 'EUR');
+    assert.equal(analysis.window, 2);
+    assert.deepEqual(
+      analysis.rows.map(({ date, sma }) => [date, sma]),
+      [
+        ['2024-01-02', null],
+        ['2024-01-03', 3],
+      ]
+    );
+  });
+
+  it('should throw for missing histories', async () => {
+    await assert.rejects(
+      analyze({ quote: 'JPY', dir: tempDir }),
+      NotFoundError
+    );
+  });
+});
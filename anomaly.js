@@ -0,0 +1,106 @@
+import { parseLine } from './history.js';
+
+export const ANOMALY_ACTIONS = ['off', 'warn', 'quarantine', 'abort'];
+
+/**
+ * @typedef {object} Anomaly
+ * @property {string} quote
+ * @property {string} date
+ * @property {number | null} rate
+ * @property {{ date: string, rate: number } | null} previous
+ * @property {number | null} change relative move from the previous rate
+ * @property {string} message
+ */
+
+/**
+ * @typedef {object} AnomalyOptions
+ * @property {'off' | 'warn' | 'quarantine' | 'abort'} action
+ * @property {number} threshold largest relative move accepted, e.g. 0.5
+ *   for 50%
+ * @property {Record<string, number>} thresholds per quote overrides
+ */
+
+/**
+ * Checks `rate` against the `previous` history row: rates that are
+ * missing or not positive, or moved by more than `threshold` relative to
+ * the previous rate, are anomalies.
+ *
+ * @param {string} quote
+ * @param {string} date
+ * @param {unknown} rate
+ * @param {string | null} previous history row
+ * @param {number} threshold
+ * @returns {Anomaly | null}
+ */
+export const findAnomaly = (quote, date, rate, previous, threshold) => {
+  const [previousDate, previousRate] = previous ? parseLine(previous) : [];
+  const last = previous
+    ? { date: previousDate, rate: Number(previousRate) }
+    : null;
+
+  if (!(typeof rate === 'number' && rate > 0)) {
+    const value =
+      typeof rate === 'number' || rate === null || rate === undefined
+        ? (rate ?? 'missing')
+        : JSON.stringify(rate);
+
+    return {
+      quote,
+      date,
+      rate: Number.isFinite(rate) ? rate : null,
+      previous: last,
+      change: null,
+      message: `${quote} rate on ${date} is ${value}`,
+    };
+  }
+
+  if (!last || !(last.rate > 0)) {
+    return null;
+  }
+
+  const change = Math.abs(rate - last.rate) / last.rate;
+
+  if (change <= threshold) {
+    return null;
+  }
+
+  const percent = Number((change * 100).toFixed(1));
+
+  return {
+    quote,
+    date,
+    rate,
+    previous: last,
+    change,
+    message:
+      `${quote} rate on ${date} moved ${percent}% ` +
+      `from ${last.rate} on ${last.date} to ${rate}`,
+  };
+};
+
+/**
+ * Finds the anomalies among the rates of `data`.
+ *
+ * @param {import('./providers.js').Rates} data
+ * @param {object} options
+ * @param {(quote: string) => Promise<string | null>} options.previous
+ *   resolves with the history row before `data.date`
+ * @param {number} options.threshold
+ * @param {Record<string, number>=} options.thresholds
+ * @returns {Promise<Anomaly[]>}
+ */
+export const detectAnomalies = async (data, options) => {
+  const anomalies = [];
+
+  for (const [quote, rate] of Object.entries(data.rates).sort()) {
+    const threshold = options.thresholds?.[quote] ?? options.threshold;
+    const previous = await options.previous(quote);
+    const anomaly = findAnomaly(quote, data.date, rate, previous, threshold);
+
+    if (anomaly) {
+      anomalies.push(anomaly);
+    }
+  }
+
+  return anomalies;
+};
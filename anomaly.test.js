@@ -0,0 +1,73 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { detectAnomalies, findAnomaly } from './anomaly.js';
+
+describe('findAnomaly', () => {
+  const previous = '2024-01-01,1';
+
+  it('should accept moves within the threshold', () => {
+    assert.equal(findAnomaly('USD', '2024-01-02', 1.2, previous, 0.5), null);
+  });
+
+  it('should ignore missing histories', () => {
+    assert.equal(findAnomaly('USD', '2024-01-02', 9, null, 0.5), null);
+  });
+
+  it('should flag moves beyond the threshold', () => {
+    const anomaly = findAnomaly('USD', '2024-01-02', 2, previous, 0.5);
+
+    assert.deepEqual(anomaly, {
+      quote: 'USD',
+      date: '2024-01-02',
+      rate: 2,
+      previous: { date: '2024-01-01', rate: 1 },
+      change: 1,
+      message: 'USD rate on 2024-01-02 moved 100% from 1 on 2024-01-01 to 2',
+    });
+  });
+
+  it('should flag rates that are not positive', () => {
+    const anomaly = findAnomaly('USD', '2024-01-02', 0, null, 0.5);
+
+    assert.equal(anomaly.message, 'USD rate on 2024-01-02 is 0');
+    assert.equal(anomaly.rate, 0);
+  });
+
+  it('should flag rates that are not numbers', () => {
+    const anomaly = findAnomaly('USD', '2024-01-02', '1.1', null, 0.5);
+
+    assert.equal(anomaly.message, 'USD rate on 2024-01-02 is "1.1"');
+    assert.equal(anomaly.rate, null);
+  });
+
+  it('should flag missing rates', () => {
+    for (const rate of [null, undefined]) {
+      assert.deepEqual(findAnomaly('USD', '2024-01-02', rate, previous, 0.5), {
+        quote: 'USD',
+        date: '2024-01-02',
+        rate: null,
+        previous: { date: '2024-01-01', rate: 1 },
+        change: null,
+        message: 'USD rate on 2024-01-02 is missing',
+      });
+    }
+  });
+});
+
+describe('detectAnomalies', () => {
+  it('should use per quote thresholds', async () => {
+    const anomalies = await detectAnomalies(
+      { date: '2024-01-02', rates: { USD: 1.6, TRY: 1.6 } },
+      {
+        previous: async () => '2024-01-01,1',
+        threshold: 0.5,
+        thresholds: { TRY: 1 },
+      }
+    );
+
+    assert.deepEqual(
+      anomalies.map((anomaly) => anomaly.quote),
+      ['USD']
+    );
+  });
+});
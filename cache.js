@@ -0,0 +1,110 @@
+import { createHash } from 'crypto';
+import { mkdir, readFile, writeFile } from 'fs/promises';
+import { join } from 'path';
+import { CacheMissError } from './errors.js';
+import { redact } from './utils.js';
+
+export const CACHE_MODES = ['off', 'cache', 'record', 'replay'];
+
+/**
+ * Raw response bodies stored in `dir`, one JSON file per redacted URL.
+ *
+ * - `cache` serves recorded responses that never change and records the
+ *   others
+ * - `record` always requests and records every response
+ * - `replay` only serves recorded responses, without any request
+ * - `off` neither reads nor writes anything
+ */
+export class HttpCache {
+  /**
+   * @type {string}
+   */
+  #dir;
+
+  /**
+   * @type {'off' | 'cache' | 'record' | 'replay'}
+   */
+  #mode;
+
+  /**
+   * @param {object} options
+   * @param {string} options.dir
+   * @param {'off' | 'cache' | 'record' | 'replay'} options.mode
+   */
+  constructor(options) {
+    if (!CACHE_MODES.includes(options.mode)) {
+      throw new Error(`Unknown cache mode "${options.mode}"`);
+    }
+
+    this.#dir = options.dir;
+    this.#mode = options.mode;
+  }
+
+  /**
+   * @param {string} url
+   * @returns {string}
+   */
+  #path(url) {
+    const hash = createHash('sha256').update(redact(url)).digest('hex');
+
+    return join(this.#dir, `${hash.substring(0, 16)}.json`);
+  }
+
+  /**
+   * Resolves with the recorded body for `url`, or `null` when the
+   * request should be made. Throws a `CacheMissError` in replay mode.
+   *
+   * @param {string} url
+   * @param {object=} options
+   * @param {boolean=} options.stable whether the response to `url` never
+   *   changes, otherwise it is requested again in `cache` mode
+   * @returns {Promise<string | null>}
+   */
+  async read(url, options = {}) {
+    if (this.#mode === 'off' || this.#mode === 'record') {
+      return null;
+    }
+
+    if (this.#mode === 'cache' && !options.stable) {
+      return null;
+    }
+
+    try {
+      const entry = JSON.parse(await readFile(this.#path(url), 'utf-8'));
+
+      return entry.body;
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+    }
+
+    if (this.#mode === 'replay') {
+      throw new CacheMissError(redact(url), this.#dir);
+    }
+
+    return null;
+  }
+
+  /**
+   * Records the raw `body` of a successful response to `url`.
+   *
+   * @param {string} url
+   * @param {string} body
+   * @returns {Promise<void>}
+   */
+  async write(url, body) {
+    if (this.#mode !== 'cache' && this.#mode !== 'record') {
+      return;
+    }
+
+    const entry = { url: redact(url), body };
+
+    await mkdir(this.#dir, { recursive: true });
+    await writeFile(
+      this.#path(url),
+      `${JSON.stringify(entry, null, 2)}\n`,
+      { encoding: 'utf-8', flag: 'w' }
+    );
+  }
+}
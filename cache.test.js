@@ -0,0 +1,92 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, readdir, readFile, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { HttpCache } from './cache.js';
+import { CacheMissError } from './errors.js';
+import { redact } from './utils.js';
+
+const URL_WITH_KEY = 'https://example.org/2024-01-01?access_key=secret';
+
+describe('HttpCache', () => {
+  let tempDir;
+
+  beforeEach(async () => {
+    tempDir = await mkdtemp(join(tmpdir(), 'cache-'));
+  });
+
+  afterEach(async () => {
+    await rm(tempDir, { recursive: true, force: true });
+  });
+
+  it('should reject unknown modes', () => {
+    assert.throws(
+      () => new HttpCache({ dir: tempDir, mode: 'sometimes' }),
+      new Error('Unknown cache mode "sometimes"')
+    );
+  });
+
+  it('should serve recorded bodies whatever the key', async () => {
+    const cache = new HttpCache({ dir: tempDir, mode: 'cache' });
+
+    assert.equal(await cache.read(URL_WITH_KEY), null);
+
+    await cache.write(URL_WITH_KEY, '{"rates":{}}');
+
+    const [name] = await readdir(tempDir);
+    const entry = JSON.parse(await readFile(join(tempDir, name), 'utf-8'));
+
+    assert.deepEqual(entry, {
+      url: 'https://example.org/2024-01-01?access_key=REDACTED',
+      body: '{"rates":{}}',
+    });
+    assert.equal(
+      await cache.read(URL_WITH_KEY.replace('secret', 'other'), {
+        stable: true,
+      }),
+      '{"rates":{}}'
+    );
+  });
+
+  it('should only serve stable responses in cache mode', async () => {
+    const url = 'https://example.org/latest';
+
+    await new HttpCache({ dir: tempDir, mode: 'record' }).write(url, 'old');
+
+    const cache = new HttpCache({ dir: tempDir, mode: 'cache' });
+    const replay = new HttpCache({ dir: tempDir, mode: 'replay' });
+
+    assert.equal(await cache.read(url), null);
+    assert.equal(await cache.read(url, { stable: false }), null);
+    assert.equal(await replay.read(url), 'old');
+  });
+
+  it('should only write in record mode', async () => {
+    const cache = new HttpCache({ dir: tempDir, mode: 'record' });
+
+    await cache.write(URL_WITH_KEY, 'body');
+
+    assert.equal(await cache.read(URL_WITH_KEY), null);
+  });
+
+  it('should throw for missing responses in replay mode', async () => {
+    const cache = new HttpCache({ dir: tempDir, mode: 'replay' });
+
+    await cache.write(URL_WITH_KEY, 'body');
+
+    await assert.rejects(
+      cache.read(URL_WITH_KEY),
+      new CacheMissError(redact(URL_WITH_KEY), tempDir)
+    );
+  });
+
+  it('should neither read nor write when off', async () => {
+    const cache = new HttpCache({ dir: tempDir, mode: 'off' });
+
+    await cache.write(URL_WITH_KEY, 'body');
+
+    assert.equal(await cache.read(URL_WITH_KEY), null);
+    assert.deepEqual(await readdir(tempDir), []);
+  });
+});
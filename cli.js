@@ -0,0 +1,398 @@
+import { once } from 'events';
+import { parseArgs } from 'util';
+import { PERIODS } from './aggregate.js';
+import {
+  aggregate,
+  backfill,
+  cross,
+  daily,
+  fill,
+  manifest,
+  redenominate,
+  serve,
+  verify,
+  yesterday,
+} from './commands.js';
+import { analysisToCsv, analyze, formatDrawdown } from './analyze.js';
+import { loadConfig } from './config.js';
+import { convert, formatConversion } from './convert.js';
+import { AnomalyError, WriteError } from './errors.js';
+
+export const USAGE = `Usage: node ./index.js [command] [options]
+
+Commands:
+  daily                         fetch yesterday's and latest rates
+                                (default)
+  backfill --from DATE [--to DATE]
+                                fetch days missing from the history
+  verify [--max-gap N] [--strict]
+                                check the history files
+  cross BASE QUOTE [--precision N] [--output FILE]
+                                derive a pair from the EUR history
+  manifest                      regenerate manifest.json
+  convert FROM TO [AMOUNT] [--date DATE] [--format FORMAT]
+                                convert through the EUR rates of DATE,
+                                or the latest ones, as text or json
+  analyze BASE QUOTE [--from DATE] [--to DATE] [--window N]
+                                log returns, volatility, moving
+                                averages and drawdowns over windows of
+                                N rates (20), --format csv or json
+  fill                          regenerate the filled history files
+  aggregate [--from DATE]       regenerate the period aggregates, all
+                                of them or those from DATE on
+  serve [--port N] [--host HOST]
+                                serve the data over HTTP, on
+                                127.0.0.1:8080 by default
+  redenominate QUOTE --date DATE --factor N
+                                rescale rates before DATE, one new
+                                QUOTE being worth N old ones
+
+Options:
+  --config FILE                 JSON config file
+  --provider NAME               rates provider: default or ecb
+  --quotes "AAA BBB"            quote currencies
+  --bases "AAA BBB"             base currencies
+  --base-mode MODE              request or derive
+  --output-dir DIR              data directory
+  --formats "csv ndjson"        output formats: csv, json-daily,
+                                json-series, ndjson
+  --retries N                   HTTP retries
+  --timeout MS                  HTTP timeout
+  --backoff MS                  delay before the first HTTP retry
+  --cache MODE                  API responses cache: off, cache,
+                                record or replay
+  --cache-dir DIR               recorded API responses
+  --log-level LEVEL             debug, info, warn or error
+  --log-format FORMAT           text or json
+  --summary FILE                also write the run summary as JSON
+  --dry-run                     print a diff of the files daily,
+                                backfill or redenominate would change,
+                                without writing them
+  -h, --help                    show this message
+
+Exit codes:
+  0                             success
+  1                             error, or verification failed
+  2                             some quotes could not be written
+  3                             aborted on anomalous rates
+`;
+
+const OPTIONS = {
+  config: { type: 'string' },
+  provider: { type: 'string' },
+  quotes: { type: 'string' },
+  bases: { type: 'string' },
+  'base-mode': { type: 'string' },
+  'output-dir': { type: 'string' },
+  formats: { type: 'string' },
+  retries: { type: 'string' },
+  timeout: { type: 'string' },
+  backoff: { type: 'string' },
+  cache: { type: 'string' },
+  'cache-dir': { type: 'string' },
+  'log-level': { type: 'string' },
+  'log-format': { type: 'string' },
+  summary: { type: 'string' },
+  'dry-run': { type: 'boolean' },
+  port: { type: 'string' },
+  host: { type: 'string' },
+  date: { type: 'string' },
+  format: { type: 'string' },
+  factor: { type: 'string' },
+  window: { type: 'string' },
+  from: { type: 'string' },
+  to: { type: 'string' },
+  'max-gap': { type: 'string' },
+  strict: { type: 'boolean' },
+  precision: { type: 'string' },
+  output: { type: 'string' },
+  help: { type: 'boolean', short: 'h' },
+};
+
+/**
+ * @param {string} name
+ * @param {string=} value
+ * @returns {number | undefined}
+ */
+const toInteger = (name, value) => {
+  if (value === undefined) {
+    return undefined;
+  }
+
+  const number = Number(value);
+
+  if (!Number.isInteger(number)) {
+    throw new Error(`"--${name}" must be an integer, got "${value}"`);
+  }
+
+  return number;
+};
+
+/**
+ * @param {string=} value
+ * @returns {number | undefined}
+ */
+const toPrecision = (value) => {
+  const precision = toInteger('precision', value);
+
+  if (precision !== undefined && (precision < 1 || precision > 100)) {
+    throw new Error(`"--precision" must be from 1 to 100, got "${value}"`);
+  }
+
+  return precision;
+};
+
+/**
+ * @param {string} value
+ * @returns {number}
+ */
+const toFactor = (value) => {
+  const factor = Number(value);
+
+  if (!Number.isFinite(factor) || factor <= 0) {
+    throw new Error(`"--factor" must be a positive number, got "${value}"`);
+  }
+
+  return factor;
+};
+
+/**
+ * @param {string} command
+ * @param {string[]} args positionals after the command
+ * @param {Record<string, any>} values parsed options
+ * @param {import('./config.js').Config} config
+ * @returns {Promise<number>}
+ */
+const run = async (command, args, values, config) => {
+  switch (command) {
+    case 'daily': {
+      await daily(config);
+      return 0;
+    }
+
+    case 'backfill': {
+      await backfill(config, {
+        from: values.from,
+        to: values.to || yesterday(),
+      });
+
+      return 0;
+    }
+
+    case 'verify': {
+      const valid = await verify(config, {
+        maxGap: toInteger('max-gap', values['max-gap']) ?? 2,
+        strict: values.strict || false,
+      });
+
+      return valid ? 0 : 1;
+    }
+
+    case 'cross': {
+      const [base, quote] = args;
+
+      if (!base || !quote) {
+        throw new Error('Usage: cross <BASE> <QUOTE>');
+      }
+
+      await cross(config, {
+        base,
+        quote,
+        precision: toPrecision(values.precision),
+        output: values.output,
+      });
+
+      return 0;
+    }
+
+    case 'convert': {
+      const [from, to, amount = '1'] = args;
+      const format = values.format || 'text';
+
+      if (!from || !to) {
+        throw new Error('Usage: convert <FROM> <TO> [AMOUNT]');
+      }
+
+      if (!Number.isFinite(Number(amount))) {
+        throw new Error(`Amount must be a number, got "${amount}"`);
+      }
+
+      if (!['text', 'json'].includes(format)) {
+        throw new Error(`Unknown format "${format}"`);
+      }
+
+      const conversion = await convert({
+        from,
+        to,
+        amount: Number(amount),
+        date: values.date,
+        precision: toPrecision(values.precision) ?? config.precision,
+        dir: config.outputDir,
+      });
+
+      console.log(
+        format === 'json'
+          ? JSON.stringify(conversion)
+          : formatConversion(conversion)
+      );
+
+      return 0;
+    }
+
+    case 'analyze': {
+      const [base, quote] = args;
+      const format = values.format || 'csv';
+
+      if (!base || !quote) {
+        throw new Error('Usage: analyze <BASE> <QUOTE>');
+      }
+
+      if (!['csv', 'json'].includes(format)) {
+        throw new Error(`Unknown format "${format}"`);
+      }
+
+      const analysis = await analyze({
+        base,
+        quote,
+        from: values.from,
+        to: values.to,
+        window: toInteger('window', values.window),
+        precision: toPrecision(values.precision) ?? config.precision,
+        dir: config.outputDir,
+      });
+
+      if (format === 'json') {
+        process.stdout.write(`${JSON.stringify(analysis)}\n`);
+      } else {
+        // stderr, so that stdout stays one CSV row per date
+        console.error(formatDrawdown(analysis));
+        process.stdout.write(analysisToCsv(analysis));
+      }
+
+      return 0;
+    }
+
+    case 'fill': {
+      await fill({ ...config, filled: true });
+      return 0;
+    }
+
+    case 'aggregate': {
+      await aggregate(
+        {
+          ...config,
+          aggregates: config.aggregates.length ? config.aggregates : PERIODS,
+        },
+        { from: values.from }
+      );
+      return 0;
+    }
+
+    case 'serve': {
+      const server = await serve(config, {
+        port: toInteger('port', values.port) ?? 8080,
+        host: values.host || '127.0.0.1',
+      });
+
+      const close = () => server.close();
+
+      process.once('SIGINT', close);
+      process.once('SIGTERM', close);
+
+      await once(server, 'close');
+
+      process.off('SIGINT', close);
+      process.off('SIGTERM', close);
+
+      return 0;
+    }
+
+    case 'manifest': {
+      await manifest({ ...config, manifest: true });
+      return 0;
+    }
+
+    case 'redenominate': {
+      const [quote] = args;
+
+      if (!quote || !values.date || !values.factor) {
+        throw new Error(
+          'Usage: redenominate <QUOTE> --date <DATE> --factor <N>'
+        );
+      }
+
+      await redenominate(config, {
+        quote,
+        date: values.date,
+        factor: toFactor(values.factor),
+      });
+
+      return 0;
+    }
+
+    default: {
+      throw new Error(`Unknown command "${command}", see --help`);
+    }
+  }
+};
+
+/**
+ * Parses command line arguments (without the node and script paths),
+ * runs the command and resolves with the process exit code.
+ *
+ * @param {string[]} argv
+ * @returns {Promise<number>}
+ */
+export const cli = async (argv) => {
+  const { positionals, values } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: OPTIONS,
+  });
+
+  const [command = 'daily', ...args] = positionals;
+
+  if (values.help) {
+    console.log(USAGE);
+    return 0;
+  }
+
+  const config = await loadConfig({
+    file: values.config,
+    overrides: {
+      provider: values.provider,
+      quotes: values.quotes,
+      bases: values.bases,
+      baseMode: values['base-mode'],
+      outputDir: values['output-dir'],
+      formats: values.formats,
+      cacheMode: values.cache,
+      cacheDir: values['cache-dir'],
+      logLevel: values['log-level'],
+      logFormat: values['log-format'],
+      summaryFile: values.summary,
+      dryRun: values['dry-run'],
+      http: {
+        retries: toInteger('retries', values.retries),
+        timeout: toInteger('timeout', values.timeout),
+        backoff: toInteger('backoff', values.backoff),
+      },
+    },
+  });
+
+  try {
+    return await run(command, args, values, config);
+  } catch (error) {
+    if (error instanceof WriteError) {
+      console.error(error.message);
+      return 2;
+    }
+
+    if (error instanceof AnomalyError) {
+      console.error(error.message);
+      return 3;
+    }
+
+    throw error;
+  }
+};
@@ -0,0 +1,575 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  mkdir,
+  mkdtemp,
+  readdir,
+  readFile,
+  rm,
+  writeFile,
+} from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { cli, USAGE } from './cli.js';
+
+describe('cli', () => {
+  let originalConsoleLog;
+  let consoleLogCalls;
+  let tempDir;
+
+  beforeEach(async () => {
+    originalConsoleLog = console.log;
+    consoleLogCalls = [];
+
+    console.log = mock.fn((...args) => {
+      consoleLogCalls.push(args);
+    });
+
+    tempDir = await mkdtemp(join(tmpdir(), 'cli-'));
+    await mkdir(join(tempDir, 'EUR'));
+  });
+
+  afterEach(async () => {
+    console.log = originalConsoleLog;
+    await rm(tempDir, { recursive: true, force: true });
+  });
+
+  it('should print the usage with --help', async () => {
+    const code = await cli(['--help']);
+
+    assert.equal(code, 0);
+    assert.deepEqual(consoleLogCalls, [[USAGE]]);
+  });
+
+  it('should throw for unknown commands', async () => {
+    await assert.rejects(
+      cli(['unknown']),
+      new Error('Unknown command "unknown", see --help')
+    );
+  });
+
+  it('should throw for unknown options', async () => {
+    await assert.rejects(cli(['verify', '--unknown']), {
+      code: 'ERR_PARSE_ARGS_UNKNOWN_OPTION',
+    });
+  });
+
+  it('should throw for non-integer numeric options', async () => {
+    await assert.rejects(
+      cli(['verify', '--retries', 'many']),
+      new Error('"--retries" must be an integer, got "many"')
+    );
+  });
+
+  it('should reject precisions out of range', async () => {
+    await assert.rejects(
+      cli(['cross', 'USD', 'JPY', '--precision', '0']),
+      new Error('"--precision" must be from 1 to 100, got "0"')
+    );
+  });
+
+  it('should exit with 0 when verification passes', async () => {
+    await writeFile(join(tempDir, 'EUR', 'USD.csv'), '2024-01-01,1\n');
+
+    const code = await cli(['verify', '--output-dir', tempDir]);
+
+    assert.equal(code, 0);
+  });
+
+  it('should exit with 1 when verification fails', async () => {
+    await writeFile(join(tempDir, 'EUR', 'USD.csv'), '2024-01-01,\n');
+
+    const code = await cli(['verify', '--output-dir', tempDir]);
+
+    assert.equal(code, 1);
+    assert.deepEqual(consoleLogCalls, [
+      ['EUR/USD.csv:'],
+      ['  line 1: error (blank) blank rate on 2024-01-01'],
+    ]);
+  });
+
+  it('should read options from the config file', async () => {
+    const file = join(tempDir, 'config.json');
+    const output = join(tempDir, 'USD-JPY.csv');
+
+    await writeFile(file, JSON.stringify({ outputDir: tempDir }));
+    await writeFile(join(tempDir, 'EUR', 'USD.csv'), '2024-01-01,2\n');
+    await writeFile(join(tempDir, 'EUR', 'JPY.csv'), '2024-01-01,300\n');
+
+    const code = await cli([
+      'cross',
+      'USD',
+      'JPY',
+      '--config',
+      file,
+      '--output',
+      output,
+    ]);
+
+    assert.equal(code, 0);
+    assert.equal(await readFile(output, 'utf-8'), '2024-01-01,150\n');
+  });
+
+  it('should exit with 2 and keep the data when writes fail', async () => {
+    const originalFetch = global.fetch;
+    const originalEnv = { ...process.env };
+    const originalConsoleError = console.error;
+
+    process.env.AG_BASE_URL = 'http://example.org';
+    process.env.AG_API_KEY = 'key';
+    console.error = mock.fn();
+
+    global.fetch = mock.fn(async () => ({
+      ok: true,
+      status: 200,
+      json: async () => ({
+        date: '2024-01-02',
+        rates: { JPY: 160, USD: 1.2 },
+      }),
+    }));
+
+    await writeFile(join(tempDir, 'EUR', 'USD.csv'), '2024-01-01,1.1\n');
+    await mkdir(join(tempDir, 'EUR', 'JPY.csv'));
+
+    try {
+      const code = await cli([
+        'daily',
+        '--quotes',
+        'JPY USD',
+        '--output-dir',
+        tempDir,
+      ]);
+
+      assert.equal(code, 2);
+      assert.match(
+        console.error.mock.calls.at(-1).arguments[0],
+        /^Failed to write 1 quote\(s\): JPY \(EISDIR/
+      );
+      assert.equal(
+        await readFile(join(tempDir, 'EUR', 'USD.csv'), 'utf-8'),
+        '2024-01-01,1.1\n'
+      );
+    } finally {
+      global.fetch = originalFetch;
+      process.env = originalEnv;
+      console.error = originalConsoleError;
+    }
+  });
+
+  it('should keep existing rows when a rate is missing', async () => {
+    const originalFetch = global.fetch;
+    const originalEnv = { ...process.env };
+    const originalConsoleWarn = console.warn;
+
+    process.env.AG_BASE_URL = 'http://example.org';
+    process.env.AG_API_KEY = 'key';
+    console.warn = mock.fn();
+
+    global.fetch = mock.fn(async () => ({
+      ok: true,
+      status: 200,
+      json: async () => ({
+        date: '2024-01-02',
+        rates: { JPY: 160, USD: null },
+      }),
+    }));
+
+    await writeFile(join(tempDir, 'EUR', 'USD.csv'), '2024-01-02,1.15\n');
+    await writeFile(
+      join(tempDir, 'EUR', 'USD.latest.csv'),
+      '2024-01-02,1.15\n'
+    );
+
+    try {
+      const code = await cli([
+        'daily',
+        '--quotes',
+        'JPY USD',
+        '--output-dir',
+        tempDir,
+        '--log-level',
+        'warn',
+      ]);
+
+      assert.equal(code, 0);
+      assert.equal(
+        await readFile(join(tempDir, 'EUR', 'USD.csv'), 'utf-8'),
+        '2024-01-02,1.15\n'
+      );
+      assert.equal(
+        await readFile(join(tempDir, 'EUR', 'USD.latest.csv'), 'utf-8'),
+        '2024-01-02,1.15\n'
+      );
+      assert.equal(
+        await readFile(join(tempDir, 'EUR', 'JPY.csv'), 'utf-8'),
+        '2024-01-02,160\n'
+      );
+      assert.ok(
+        !console.warn.mock.calls.some(({ arguments: [message] }) => {
+          return message.includes('Missing quote(s)');
+        })
+      );
+    } finally {
+      global.fetch = originalFetch;
+      process.env = originalEnv;
+      console.warn = originalConsoleWarn;
+    }
+  });
+
+  it('should exit with 3 and keep the data on anomalies', async () => {
+    const originalFetch = global.fetch;
+    const originalEnv = { ...process.env };
+    const originalConsoleError = console.error;
+    const originalConsoleWarn = console.warn;
+    const file = join(tempDir, 'config.json');
+
+    process.env.AG_BASE_URL = 'http://example.org';
+    process.env.AG_API_KEY = 'key';
+    console.error = mock.fn();
+    console.warn = mock.fn();
+
+    global.fetch = mock.fn(async () => ({
+      ok: true,
+      status: 200,
+      json: async () => ({
+        date: '2024-01-02',
+        rates: { JPY: 1600, USD: 1.2 },
+      }),
+    }));
+
+    await writeFile(file, JSON.stringify({ anomalies: { action: 'abort' } }));
+    await writeFile(join(tempDir, 'EUR', 'USD.csv'), '2024-01-01,1.1\n');
+    await writeFile(join(tempDir, 'EUR', 'JPY.csv'), '2024-01-01,160\n');
+
+    try {
+      const code = await cli([
+        'daily',
+        '--config',
+        file,
+        '--quotes',
+        'JPY USD',
+        '--output-dir',
+        tempDir,
+      ]);
+
+      assert.equal(code, 3);
+      assert.equal(
+        console.error.mock.calls.at(-1).arguments[0],
+        'Aborted on 1 anomalous rate(s): JPY rate on 2024-01-02 moved ' +
+          '900% from 160 on 2024-01-01 to 1600'
+      );
+      assert.equal(
+        await readFile(join(tempDir, 'EUR', 'USD.csv'), 'utf-8'),
+        '2024-01-01,1.1\n'
+      );
+    } finally {
+      global.fetch = originalFetch;
+      process.env = originalEnv;
+      console.error = originalConsoleError;
+      console.warn = originalConsoleWarn;
+    }
+  });
+
+  it('should exit with 3 and keep the data on zero rates', async () => {
+    const originalFetch = global.fetch;
+    const originalEnv = { ...process.env };
+    const originalConsoleError = console.error;
+    const originalConsoleWarn = console.warn;
+    const file = join(tempDir, 'config.json');
+
+    process.env.AG_BASE_URL = 'http://example.org';
+    process.env.AG_API_KEY = 'key';
+    console.error = mock.fn();
+    console.warn = mock.fn();
+
+    global.fetch = mock.fn(async () => ({
+      ok: true,
+      status: 200,
+      json: async () => ({
+        date: '2024-01-02',
+        rates: { JPY: 161, USD: 0 },
+      }),
+    }));
+
+    await writeFile(file, JSON.stringify({ anomalies: { action: 'abort' } }));
+    await writeFile(join(tempDir, 'EUR', 'USD.csv'), '2024-01-01,1.1\n');
+    await writeFile(join(tempDir, 'EUR', 'JPY.csv'), '2024-01-01,160\n');
+
+    try {
+      const code = await cli([
+        'daily',
+        '--config',
+        file,
+        '--quotes',
+        'JPY USD',
+        '--output-dir',
+        tempDir,
+      ]);
+
+      assert.equal(code, 3);
+      assert.equal(
+        console.error.mock.calls.at(-1).arguments[0],
+        'Aborted on 1 anomalous rate(s): USD rate on 2024-01-02 is 0'
+      );
+      assert.deepEqual(await readdir(join(tempDir, 'EUR')), [
+        'JPY.csv',
+        'USD.csv',
+      ]);
+      assert.equal(
+        await readFile(join(tempDir, 'EUR', 'JPY.csv'), 'utf-8'),
+        '2024-01-01,160\n'
+      );
+      assert.equal(
+        await readFile(join(tempDir, 'EUR', 'USD.csv'), 'utf-8'),
+        '2024-01-01,1.1\n'
+      );
+    } finally {
+      global.fetch = originalFetch;
+      process.env = originalEnv;
+      console.error = originalConsoleError;
+      console.warn = originalConsoleWarn;
+    }
+  });
+
+  it('should print a diff and keep the data with --dry-run', async () => {
+    const originalFetch = global.fetch;
+    const originalEnv = { ...process.env };
+
+    process.env.AG_BASE_URL = 'http://example.org';
+    process.env.AG_API_KEY = 'key';
+
+    global.fetch = mock.fn(async () => ({
+      ok: true,
+      status: 200,
+      json: async () => ({ date: '2024-01-02', rates: { USD: 1.2 } }),
+    }));
+
+    await writeFile(join(tempDir, 'EUR', 'USD.csv'), '2024-01-01,1.1\n');
+
+    try {
+      const code = await cli([
+        'backfill',
+        '--from',
+        '2024-01-02',
+        '--to',
+        '2024-01-02',
+        '--quotes',
+        'USD',
+        '--output-dir',
+        tempDir,
+        '--dry-run',
+      ]);
+
+      assert.equal(code, 0);
+      assert.equal(
+        consoleLogCalls[0][0],
+        '--- a/EUR/USD.csv\n+++ b/EUR/USD.csv\n@@ -1,0 +2 @@\n+2024-01-02,1.2'
+      );
+      assert.equal(
+        await readFile(join(tempDir, 'EUR', 'USD.csv'), 'utf-8'),
+        '2024-01-01,1.1\n'
+      );
+      assert.deepEqual(await readdir(tempDir), ['EUR']);
+    } finally {
+      global.fetch = originalFetch;
+      process.env = originalEnv;
+    }
+  });
+
+  it('should record redenominations once', async () => {
+    await writeFile(join(tempDir, 'EUR', 'VES.csv'), '2021-09-30,4800000\n');
+
+    const args = [
+      'redenominate',
+      'VES',
+      '--date',
+      '2021-10-01',
+      '--factor',
+      '1000000',
+      '--output-dir',
+      tempDir,
+      '--log-level',
+      'warn',
+    ];
+
+    assert.equal(await cli(args), 0);
+    assert.equal(
+      await readFile(join(tempDir, 'EUR', 'VES.csv'), 'utf-8'),
+      '2021-09-30,4.8\n'
+    );
+    assert.deepEqual(
+      JSON.parse(await readFile(join(tempDir, 'redenominations.json'))),
+      [{ quote: 'VES', date: '2021-10-01', factor: 1000000 }]
+    );
+
+    await assert.rejects(
+      cli(args),
+      new Error('Redenomination of VES on 2021-10-01 already recorded')
+    );
+  });
+
+  it('should accept fractional factors only if positive', async () => {
+    await writeFile(join(tempDir, 'EUR', 'XYZ.csv'), '2024-01-01,5\n');
+
+    const args = (factor) => [
+      'redenominate',
+      'XYZ',
+      '--date',
+      '2024-02-01',
+      `--factor=${factor}`,
+      '--output-dir',
+      tempDir,
+      '--log-level',
+      'warn',
+    ];
+
+    for (const factor of ['0', '-2', 'ten']) {
+      await assert.rejects(
+        cli(args(factor)),
+        new Error(`"--factor" must be a positive number, got "${factor}"`)
+      );
+    }
+
+    assert.equal(await cli(args('2.5')), 0);
+    assert.equal(
+      await readFile(join(tempDir, 'EUR', 'XYZ.csv'), 'utf-8'),
+      '2024-01-01,2\n'
+    );
+  });
+
+  it('should convert amounts with the previous available rates', async () => {
+    await writeFile(join(tempDir, 'EUR', 'USD.csv'), '2024-01-05,1.25\n');
+    await writeFile(join(tempDir, 'EUR', 'JPY.csv'), '2024-01-05,150\n');
+
+    const code = await cli([
+      'convert',
+      'USD',
+      'JPY',
+      '100',
+      '--date',
+      '2024-01-07',
+      '--output-dir',
+      tempDir,
+    ]);
+
+    assert.equal(code, 0);
+    assert.deepEqual(consoleLogCalls, [
+      [
+        '100 USD = 12000 JPY at 120 (on 2024-01-07, ' +
+          'EUR rates: USD of 2024-01-05, JPY of 2024-01-05)',
+      ],
+    ]);
+  });
+
+  it('should aggregate from the dates the provider returned', async () => {
+    const originalFetch = global.fetch;
+    const originalEnv = { ...process.env };
+    const file = join(tempDir, 'config.json');
+
+    process.env.AG_BASE_URL = 'http://example.org';
+    process.env.AG_API_KEY = 'key';
+
+    global.fetch = mock.fn(async () => ({
+      ok: true,
+      status: 200,
+      json: async () => ({ date: '2024-01-31', rates: { USD: 1.2 } }),
+    }));
+
+    await writeFile(file, JSON.stringify({ aggregates: ['monthly'] }));
+    await writeFile(join(tempDir, 'EUR', 'USD.csv'), '2024-01-30,1\n');
+    await mkdir(join(tempDir, 'EUR', 'monthly'));
+    await writeFile(
+      join(tempDir, 'EUR', 'monthly', 'USD.csv'),
+      '2024-01,1,1,1,1,1,1\n'
+    );
+
+    try {
+      const code = await cli([
+        'daily',
+        '--config',
+        file,
+        '--quotes',
+        'USD',
+        '--output-dir',
+        tempDir,
+        '--log-level',
+        'error',
+      ]);
+
+      assert.equal(code, 0);
+      assert.equal(
+        await readFile(join(tempDir, 'EUR', 'monthly', 'USD.csv'), 'utf-8'),
+        '2024-01,1,1.2,1,1.2,1.1,2\n'
+      );
+    } finally {
+      global.fetch = originalFetch;
+      process.env = originalEnv;
+    }
+  });
+
+  it('should aggregate every period when none is configured', async () => {
+    await writeFile(join(tempDir, 'EUR', 'USD.csv'), '2024-01-05,1.25\n');
+
+    assert.equal(await cli(['aggregate', '--output-dir', tempDir]), 0);
+    assert.deepEqual(await readdir(join(tempDir, 'EUR')), [
+      'USD.csv',
+      'monthly',
+      'weekly',
+      'yearly',
+    ]);
+    assert.equal(
+      await readFile(join(tempDir, 'EUR', 'weekly', 'USD.csv'), 'utf-8'),
+      '2024-W01,1.25,1.25,1.25,1.25,1.25,1\n'
+    );
+  });
+
+  it('should print analyses as csv', async () => {
+    await writeFile(
+      join(tempDir, 'EUR', 'USD.csv'),
+      '2024-01-01,1\n2024-01-02,2\n2024-01-03,1\n'
+    );
+
+    const write = mock.method(process.stdout, 'write', () => true);
+    const error = mock.method(console, 'error', () => {});
+
+    try {
+      const code = await cli([
+        'analyze',
+        'EUR',
+        'USD',
+        '--window',
+        '2',
+        '--precision',
+        '3',
+        '--output-dir',
+        tempDir,
+      ]);
+
+      assert.equal(code, 0);
+      assert.deepEqual(write.mock.calls[0].arguments, [
+        'date,rate,return,volatility,sma,ema,drawdown\n' +
+          '2024-01-01,1,,,,,0\n' +
+          '2024-01-02,2,0.693,,1.5,1.5,0\n' +
+          '2024-01-03,1,-0.693,0.98,1.5,1.17,0.5\n',
+      ]);
+      assert.deepEqual(error.mock.calls[0].arguments, [
+        'EUR/USD max drawdown 0.5 from 2024-01-02 to 2024-01-03',
+      ]);
+    } finally {
+      write.mock.restore();
+      error.mock.restore();
+    }
+
+    await assert.rejects(
+      cli(['analyze', 'EUR', 'USD', '--format', 'xml']),
+      new Error('Unknown format "xml"')
+    );
+  });
+
+  it('should require both currencies for cross', async () => {
+    await assert.rejects(
+      cli(['cross', 'USD']),
+      new Error('Usage: cross <BASE> <QUOTE>')
+    );
+  });
+});
@@ -0,0 +1,831 @@
+import { mkdir, mkdtemp, readFile, rm, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import { dirname, join, relative } from 'path';
+import { aggregateBase } from './aggregate.js';
+import { detectAnomalies } from './anomaly.js';
+import { HttpCache } from './cache.js';
+import { createConfigProvider } from './config.js';
+import { crossSeries } from './cross.js';
+import { formatDiff } from './diff.js';
+import { fillDir } from './filled.js';
+import { AnomalyError } from './errors.js';
+import {
+  createJsonDayWriter,
+  createJsonSeriesWriter,
+  createNdjsonWriter,
+} from './formats.js';
+import {
+  insertLine,
+  readDates,
+  readPrevious,
+  upsertLine,
+  writeLines,
+} from './history.js';
+import { createLogger } from './logger.js';
+import { writeManifest } from './manifest.js';
+import {
+  applyRedenominations,
+  readRedenominations,
+  REDENOMINATIONS_FILE,
+  rescaleFiles,
+} from './redenominations.js';
+import { createServer } from './server.js';
+import { RunSummary, writeSummary } from './summary.js';
+import { Transaction } from './transaction.js';
+import { verifyDir } from './verify.js';
+import {
+  compareQuotes,
+  createCsvWriter,
+  dateRange,
+  Fetcher,
+  HttpClient,
+  isDate,
+  rebase,
+  writeLine,
+} from './utils.js';
+
+/**
+ * @typedef {import('./config.js').Config} Config
+ * @typedef {import('./logger.js').Logger} Logger
+ * @typedef {import('./utils.js').Writer} Writer
+ * @typedef {(path: string) => string | Promise<string>} Stage
+ */
+
+/**
+ * State shared by the steps of a fetching command.
+ *
+ * @typedef {object} Run
+ * @property {Config} config
+ * @property {Logger} logger
+ * @property {HttpClient} httpClient
+ * @property {import('./providers.js').Provider} provider
+ * @property {Fetcher} fetcher
+ * @property {RunSummary} summary
+ */
+
+/**
+ * @returns {string}
+ */
+export const yesterday = () => {
+  return new Date(Date.now() - 86400000).toJSON().substring(0, 10);
+};
+
+/**
+ * @param {Config} config
+ * @param {Logger} logger
+ * @returns {HttpClient}
+ */
+const createHttpClient = (config, logger) => {
+  const cache =
+    config.cacheMode === 'off'
+      ? undefined
+      : new HttpCache({ dir: config.cacheDir, mode: config.cacheMode });
+
+  return new HttpClient({
+    retries: config.http.retries,
+    timeout: config.http.timeout,
+    backoff: config.http.backoff,
+    retryPolicy: { maxDelay: config.http.maxDelay },
+    cache,
+    logger,
+  });
+};
+
+/**
+ * Runs `task` as the `command` run and prints its summary, also when
+ * it failed.
+ *
+ * @param {Config} config
+ * @param {string} command
+ * @param {(run: Run) => Promise<void>} task
+ * @returns {Promise<void>}
+ */
+const execute = async (config, command, task) => {
+  const logger = createLogger({
+    level: config.logLevel,
+    format: config.logFormat,
+  });
+
+  const httpClient = createHttpClient(config, logger);
+  const provider = createConfigProvider(config);
+
+  const run = {
+    config,
+    logger,
+    httpClient,
+    provider,
+    // shared by every date, so that feeds holding many are fetched once
+    fetcher: new Fetcher({
+      httpClient,
+      quotes: config.quotes,
+      provider,
+      logger,
+    }),
+    summary: new RunSummary(command),
+  };
+
+  let ok = false;
+
+  try {
+    await task(run);
+    ok = true;
+  } finally {
+    const summary = run.summary.finish({ ok, http: run.httpClient.stats });
+
+    await writeSummary(summary, {
+      format: config.logFormat,
+      file: config.summaryFile,
+    });
+  }
+};
+
+/**
+ * Runs `task` with a function mapping output paths to the paths it
+ * should write to. In transactional mode those are staged copies that
+ * replace the output files only if the whole task succeeded. Dry runs
+ * stage copies in a temporary directory and print how they differ from
+ * the output files instead.
+ *
+ * @param {Config} config
+ * @param {(stage: Stage) => Promise<void>} task
+ * @returns {Promise<void>}
+ */
+const transact = async (config, task) => {
+  if (config.dryRun) {
+    return preview(config, task);
+  }
+
+  if (!config.transactional) {
+    return task(async (path) => {
+      await mkdir(dirname(path), { recursive: true });
+
+      return path;
+    });
+  }
+
+  const transaction = new Transaction();
+
+  try {
+    await task((path) => transaction.stage(path));
+  } catch (error) {
+    await transaction.rollback();
+    throw error;
+  }
+
+  await transaction.commit();
+};
+
+/**
+ * Runs `task` on staged copies of the output files and prints a diff of
+ * every file it would change, leaving the output untouched.
+ *
+ * @param {Config} config
+ * @param {(stage: Stage) => Promise<void>} task
+ * @returns {Promise<void>}
+ */
+const preview = async (config, task) => {
+  const dir = await mkdtemp(join(tmpdir(), 'dry-run-'));
+  const transaction = new Transaction({ dir });
+
+  try {
+    await task((path) => transaction.stage(path));
+
+    const diffs = [];
+
+    for (const path of transaction.paths.sort()) {
+      const diff = formatDiff(
+        relative(config.outputDir, path),
+        await readOptional(path),
+        await readOptional(await transaction.stage(path))
+      );
+
+      if (diff) {
+        diffs.push(diff);
+      }
+    }
+
+    console.log(diffs.length > 0 ? diffs.join('\n') : 'No changes');
+  } finally {
+    await transaction.rollback();
+    await rm(dir, { recursive: true, force: true });
+  }
+};
+
+/**
+ * @param {string} path
+ * @returns {Promise<string | null>} the content of the file at `path`,
+ *   or `null` when it does not exist
+ */
+const readOptional = async (path) => {
+  try {
+    return await readFile(path, 'utf-8');
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return null;
+    }
+
+    throw error;
+  }
+};
+
+/**
+ * Writers for the history files of every configured format. When
+ * `replace` is set rows for an existing date are overwritten, otherwise
+ * they are kept.
+ *
+ * @param {Run} run
+ * @param {string} base
+ * @param {boolean} replace
+ * @param {Stage} stage
+ * @returns {Writer[]}
+ */
+const historyWriters = (run, base, replace, stage) => {
+  const { config, logger } = run;
+  const dir = `${config.outputDir}/${base}`;
+
+  return config.formats.map((format) => {
+    switch (format) {
+      case 'csv':
+        return createCsvWriter({
+          path: (quote) => stage(`${dir}/${quote}.csv`),
+          handler: replace ? upsertLine : insertLine,
+          logger,
+        });
+
+      case 'json-daily':
+        return createJsonDayWriter({
+          path: (date) => stage(`${dir}/daily/${date}.json`),
+          base,
+          replace,
+        });
+
+      case 'json-series':
+        return createJsonSeriesWriter({
+          path: (quote) => stage(`${dir}/json/${quote}.json`),
+          replace,
+          logger,
+        });
+
+      case 'ndjson':
+        return createNdjsonWriter({
+          path: (quote) => stage(`${dir}/ndjson/${quote}.ndjson`),
+          replace,
+          logger,
+        });
+    }
+  });
+};
+
+/**
+ * Writers for the latest rates, which only CSV and daily JSON have.
+ *
+ * @param {Run} run
+ * @param {string} base
+ * @param {Stage} stage
+ * @returns {Writer[]}
+ */
+const latestWriters = (run, base, stage) => {
+  const { config, logger } = run;
+  const dir = `${config.outputDir}/${base}`;
+  const writers = [];
+
+  if (config.formats.includes('csv')) {
+    writers.push(
+      createCsvWriter({
+        path: (quote) => stage(`${dir}/${quote}.latest.csv`),
+        handler: writeLine,
+        logger,
+      })
+    );
+  }
+
+  if (config.formats.includes('json-daily')) {
+    writers.push(
+      createJsonDayWriter({
+        path: () => stage(`${dir}/latest.json`),
+        base,
+        replace: true,
+      })
+    );
+  }
+
+  return writers;
+};
+
+/**
+ * Compares the `quotes` rates of `data` with the `base` history and
+ * applies the configured action to anomalies: log them, move them to
+ * `<BASE>/quarantine/<QUOTE>.csv` instead of the history, or abort.
+ * Invalid rates are anomalies too, although they are never written.
+ * Resolves with the data left to write.
+ *
+ * @param {Run} run
+ * @param {string} base
+ * @param {import('./providers.js').Rates} data
+ * @param {object} options
+ * @param {string[]} options.quotes
+ * @param {Stage} options.stage
+ * @returns {Promise<import('./providers.js').Rates>}
+ */
+const screen = async (run, base, data, options) => {
+  const { config, logger, summary } = run;
+  const { action, threshold, thresholds } = config.anomalies;
+  const dir = `${config.outputDir}/${base}`;
+
+  if (action === 'off') {
+    return data;
+  }
+
+  const rates = Object.fromEntries(
+    Object.entries({ ...data.rates, ...data.invalid }).filter(([quote]) => {
+      return options.quotes.includes(quote);
+    })
+  );
+
+  const anomalies = await detectAnomalies(
+    { ...data, rates },
+    {
+      previous: async (quote) => {
+        try {
+          const path = await options.stage(`${dir}/${quote}.csv`);
+
+          return await readPrevious(path, data.date);
+        } catch (error) {
+          // unreadable histories fail, per quote, when written
+          logger.debug(`Cannot check ${base}/${quote}: ${error.message}`);
+
+          return null;
+        }
+      },
+      threshold,
+      thresholds,
+    }
+  );
+
+  summary.addAnomalies(anomalies.length);
+
+  for (const anomaly of anomalies) {
+    logger.warn(`Anomaly in ${base}: ${anomaly.message}`, {
+      base,
+      quote: anomaly.quote,
+      date: anomaly.date,
+      rate: anomaly.rate,
+      previous: anomaly.previous,
+      action,
+    });
+  }
+
+  if (anomalies.length === 0 || action === 'warn') {
+    return data;
+  }
+
+  if (action === 'abort') {
+    throw new AnomalyError(anomalies);
+  }
+
+  const quarantined = anomalies.map((anomaly) => anomaly.quote);
+
+  for (const { quote, date, rate } of anomalies) {
+    const path = await options.stage(`${dir}/quarantine/${quote}.csv`);
+
+    await insertLine(path, `${date},${rate ?? ''}`);
+  }
+
+  return {
+    ...data,
+    rates: Object.fromEntries(
+      Object.entries(data.rates).filter(([quote]) => {
+        return !quarantined.includes(quote);
+      })
+    ),
+  };
+};
+
+/**
+ * Fetches rates for `date` and writes them for every base in `bases`,
+ * either requesting each base or deriving it from EUR rates.
+ *
+ * @param {Run} run
+ * @param {string} date YYYY-MM-DD or "latest"
+ * @param {object} options
+ * @param {string[]} options.bases
+ * @param {string[]} options.quotes
+ * @param {(base: string) => Writer[]} options.writers
+ * @param {Stage} options.stage
+ * @param {boolean=} options.latest whether the writers only replace the
+ *   latest rates, which are not counted as history rows
+ * @returns {Promise<void>}
+ */
+const dump = async (run, date, options) => {
+  const { config, logger, summary, provider, fetcher } = run;
+
+  const events = await readRedenominations(config.outputDir);
+
+  const write = async (fetched, base) => {
+    const { added, missing } = compareQuotes(fetched, config.quotes, base);
+    const quotes = config.addNewQuotes
+      ? [...options.quotes, ...added]
+      : options.quotes;
+
+    summary.addQuotes({ added, missing });
+
+    if (added.length > 0) {
+      logger.info(
+        `New quote(s) in ${base} rates of ${fetched.date}: ` +
+          `${added.join(', ')}${config.addNewQuotes ? ', adding them' : ''}`,
+        { base, date: fetched.date, added }
+      );
+    }
+
+    if (missing.length > 0) {
+      logger.warn(
+        `Missing quote(s) in ${base} rates of ${fetched.date}: ` +
+          missing.join(', '),
+        { base, date: fetched.date, missing }
+      );
+    }
+
+    const rescaled = applyRedenominations(
+      fetched,
+      base,
+      events,
+      config.precision
+    );
+
+    const data = await screen(run, base, rescaled, {
+      quotes,
+      stage: options.stage,
+    });
+
+    summary.addDate(data.date);
+    logger.debug(`Writing ${base} rates of ${data.date}`, {
+      base,
+      date: data.date,
+    });
+
+    for (const writer of options.writers(base)) {
+      let outcomes;
+
+      try {
+        outcomes = await fetcher.write(data, { writer, quotes });
+      } catch (error) {
+        outcomes = error.outcomes;
+        throw error;
+      } finally {
+        if (!options.latest) {
+          summary.addOutcomes(outcomes);
+        }
+      }
+    }
+  };
+
+  if (config.baseMode === 'derive') {
+    const data = await fetcher.fetch(provider.url(date, 'EUR'), date);
+
+    for (const base of options.bases) {
+      const { precision } = config;
+
+      await write(
+        base === 'EUR' ? data : rebase(data, base, { precision }),
+        base
+      );
+    }
+  } else {
+    for (const base of options.bases) {
+      const url = provider.url(date, base);
+
+      await write(await fetcher.fetch(url, date), base);
+    }
+  }
+};
+
+/**
+ * Regenerates the filled history files of every base when enabled,
+ * except in dry runs.
+ *
+ * @param {Config} config
+ * @returns {Promise<void>}
+ */
+export const fill = async (config) => {
+  if (!config.filled || config.dryRun) {
+    return;
+  }
+
+  for (const base of config.bases) {
+    await fillDir(`${config.outputDir}/${base}`);
+  }
+};
+
+/**
+ * Updates the configured period aggregates of every base, except in dry
+ * runs. Only the periods from the one `from` is in are recomputed.
+ *
+ * @param {Config} config
+ * @param {object=} options
+ * @param {string=} options.from first date a run may have changed
+ * @returns {Promise<void>}
+ */
+export const aggregate = async (config, options = {}) => {
+  if (options.from && !isDate(options.from)) {
+    throw new Error(`Invalid date "${options.from}"`);
+  }
+
+  if (config.aggregates.length === 0 || config.dryRun) {
+    return;
+  }
+
+  for (const base of config.bases) {
+    await aggregateBase(config.outputDir, base, {
+      periods: config.aggregates,
+      from: options.from,
+      precision: config.precision,
+    });
+  }
+};
+
+/**
+ * Updates the aggregates from the earliest date `run` fetched rates of,
+ * which may be before the requested dates when the provider falls back
+ * to a previous business day.
+ *
+ * @param {Run} run
+ * @returns {Promise<void>}
+ */
+const aggregateFetched = async (run) => {
+  const [from] = run.summary.dates;
+
+  if (from) {
+    await aggregate(run.config, { from });
+  }
+};
+
+/**
+ * Regenerates the dataset manifest when enabled, except in dry runs.
+ *
+ * @param {Config} config
+ * @returns {Promise<void>}
+ */
+export const manifest = async (config) => {
+  if (config.manifest && !config.dryRun) {
+    await writeManifest(config.outputDir, { perBase: config.baseIndex });
+  }
+};
+
+/**
+ * Appends yesterday's rates to the history files and overwrites the
+ * latest rates files.
+ *
+ * @param {Config} config
+ * @returns {Promise<void>}
+ */
+export const daily = (config) => {
+  return execute(config, 'daily', async (run) => {
+    await transact(config, async (stage) => {
+      await dump(run, yesterday(), {
+        bases: config.bases,
+        quotes: config.quotes,
+        writers: (base) => historyWriters(run, base, true, stage),
+        stage,
+      });
+
+      await dump(run, 'latest', {
+        bases: config.bases,
+        quotes: config.quotes,
+        writers: (base) => latestWriters(run, base, stage),
+        stage,
+        latest: true,
+      });
+    });
+
+    await fill(config);
+    await aggregateFetched(run);
+    await manifest(config);
+  });
+};
+
+/**
+ * @param {Config} config
+ * @param {object} options
+ * @param {string} options.from
+ * @param {string} options.to
+ * @returns {Promise<void>}
+ */
+export const backfill = async (config, options) => {
+  if (!options.from) {
+    throw new Error('"--from" option is required for backfill');
+  }
+
+  const dates = dateRange(options.from, options.to);
+
+  await execute(config, 'backfill', async (run) => {
+    const known = new Map();
+
+    for (const base of config.bases) {
+      for (const quote of config.quotes) {
+        const path = `${config.outputDir}/${base}/${quote}.csv`;
+
+        known.set(`${base}/${quote}`, await readDates(path));
+      }
+    }
+
+    await transact(config, async (stage) => {
+      for (const date of dates) {
+        const missing = (base, quote) => {
+          return !known.get(`${base}/${quote}`).has(date);
+        };
+
+        const bases = config.bases.filter((base) => {
+          return config.quotes.some((quote) => missing(base, quote));
+        });
+
+        const quotes = config.quotes.filter((quote) => {
+          return bases.some((base) => missing(base, quote));
+        });
+
+        if (bases.length === 0) {
+          run.logger.debug(`Skipping ${date}, nothing is missing`, { date });
+          continue;
+        }
+
+        await dump(run, date, {
+          bases,
+          quotes,
+          writers: (base) => historyWriters(run, base, false, stage),
+          stage,
+        });
+
+        for (const base of bases) {
+          for (const quote of quotes) {
+            known.get(`${base}/${quote}`).add(date);
+          }
+        }
+      }
+    });
+
+    await fill(config);
+    await aggregateFetched(run);
+    await manifest(config);
+  });
+};
+
+/**
+ * Prints problems found in the history files and returns whether the
+ * dataset is fit to be committed.
+ *
+ * @param {Config} config
+ * @param {object} options
+ * @param {number} options.maxGap
+ * @param {boolean} options.strict
+ * @returns {Promise<boolean>}
+ */
+export const verify = async (config, options) => {
+  let valid = true;
+
+  for (const base of config.bases) {
+    const report = await verifyDir(`${config.outputDir}/${base}`, {
+      maxGap: options.maxGap,
+    });
+
+    for (const [name, problems] of report) {
+      console.log(`${base}/${name}:`);
+
+      for (const problem of problems) {
+        const { line, severity, type, message } = problem;
+
+        console.log(`  line ${line}: ${severity} (${type}) ${message}`);
+
+        if (severity === 'error' || options.strict) {
+          valid = false;
+        }
+      }
+    }
+  }
+
+  return valid;
+};
+
+/**
+ * Derives the `base`/`quote` series from the EUR history files and
+ * writes it to `output`, or to stdout when no output is given.
+ *
+ * @param {Config} config
+ * @param {object} options
+ * @param {string} options.base
+ * @param {string} options.quote
+ * @param {number=} options.precision
+ * @param {string=} options.output
+ * @returns {Promise<void>}
+ */
+export const cross = async (config, options) => {
+  const { base, quote, output } = options;
+  const precision = options.precision ?? config.precision;
+
+  const lines = await crossSeries(`${config.outputDir}/EUR`, base, quote, {
+    precision,
+  });
+
+  if (output) {
+    await writeLines(output, lines);
+  } else {
+    process.stdout.write(lines.map((line) => `${line}\n`).join(''));
+  }
+};
+
+/**
+ * Serves the dataset over HTTP, resolving with the server once it
+ * listens.
+ *
+ * @param {Config} config
+ * @param {object} options
+ * @param {number} options.port
+ * @param {string} options.host
+ * @returns {Promise<import('http').Server>}
+ */
+export const serve = async (config, options) => {
+  const logger = createLogger({
+    level: config.logLevel,
+    format: config.logFormat,
+  });
+
+  const server = createServer({ dir: config.outputDir, logger });
+
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(options.port, options.host, resolve);
+  });
+
+  const { address, port } = server.address();
+
+  logger.info(`Serving "${config.outputDir}" on http://${address}:${port}`, {
+    address,
+    port,
+  });
+
+  return server;
+};
+
+/**
+ * Records that `quote` was redenominated on `date`, one new unit being
+ * worth `factor` old ones, and rescales every earlier rate involving it
+ * so that its whole history is in the new unit. Later runs rescale the
+ * earlier rates they fetch the same way.
+ *
+ * @param {Config} config
+ * @param {object} options
+ * @param {string} options.quote
+ * @param {string} options.date
+ * @param {number} options.factor
+ * @returns {Promise<void>}
+ */
+export const redenominate = async (config, options) => {
+  const { quote, date, factor } = options;
+
+  if (!/^[A-Z]{3}$/.test(quote)) {
+    throw new Error(`Invalid currency "${quote}"`);
+  }
+
+  if (!isDate(date)) {
+    throw new Error(`Invalid date "${date}"`);
+  }
+
+  if (!Number.isFinite(factor) || factor <= 0) {
+    throw new Error(`Invalid factor "${factor}"`);
+  }
+
+  const logger = createLogger({
+    level: config.logLevel,
+    format: config.logFormat,
+  });
+
+  const event = { quote, date, factor };
+  const events = await readRedenominations(config.outputDir);
+
+  if (events.some((event) => event.quote === quote && event.date === date)) {
+    throw new Error(`Redenomination of ${quote} on ${date} already recorded`);
+  }
+
+  await transact(config, async (stage) => {
+    const paths = await rescaleFiles(config.outputDir, event, {
+      stage,
+      precision: config.precision,
+    });
+
+    for (const path of paths) {
+      logger.info(`Rescaled ${relative(config.outputDir, path)}`, { path });
+    }
+
+    const recorded = [...events, event].sort((a, b) => {
+      return a.date.localeCompare(b.date);
+    });
+
+    await writeFile(
+      await stage(join(config.outputDir, REDENOMINATIONS_FILE)),
+      `${JSON.stringify(recorded, null, 2)}\n`,
+      { encoding: 'utf-8', flag: 'w' }
+    );
+  });
+
+  await fill(config);
+  await aggregate(config);
+  await manifest(config);
+};
@@ -0,0 +1,298 @@
+import { readFile } from 'fs/promises';
+import { PERIODS } from './aggregate.js';
+import { ANOMALY_ACTIONS } from './anomaly.js';
+import { CACHE_MODES } from './cache.js';
+import { FORMATS } from './formats.js';
+import { LOG_FORMATS, LOG_LEVELS } from './logger.js';
+import { createProvider } from './providers.js';
+import { env } from './utils.js';
+
+/**
+ * @typedef {object} Config
+ * @property {string} provider
+ * @property {string=} baseUrl
+ * @property {string=} apiKeyHeader header to send the API key in
+ *   instead of the `access_key` query parameter
+ * @property {string[]} quotes
+ * @property {string[]} bases
+ * @property {'request' | 'derive'} baseMode "request" asks the API for
+ *   each base, "derive" computes cross rates from the EUR response when
+ *   the plan only serves EUR
+ * @property {number} precision significant digits of derived rates
+ * @property {string} outputDir
+ * @property {string[]} formats any of "csv", "json-daily",
+ *   "json-series" and "ndjson"
+ * @property {boolean} transactional only replace files if a run succeeds
+ * @property {boolean} manifest regenerate `manifest.json` after runs
+ * @property {boolean} baseIndex also write `<BASE>/index.json`
+ * @property {boolean} filled also write `<BASE>/filled/<QUOTE>.csv`
+ *   with every calendar day
+ * @property {string[]} aggregates any of "weekly", "monthly" and
+ *   "yearly", summarised in `<BASE>/<period>/<QUOTE>.csv`
+ * @property {boolean} addNewQuotes also write symbols returned by the
+ *   provider that are not in `quotes`
+ * @property {'off' | 'cache' | 'record' | 'replay'} cacheMode
+ * @property {string} cacheDir raw API responses for the cache modes
+ * @property {'debug' | 'info' | 'warn' | 'error'} logLevel
+ * @property {'text' | 'json'} logFormat
+ * @property {string=} summaryFile JSON file for the run summary
+ * @property {boolean=} dryRun print what a run would change instead of
+ *   writing it
+ * @property {import('./anomaly.js').AnomalyOptions} anomalies what to do
+ *   with rates moving by more than a threshold from the previous one
+ * @property {object} http
+ * @property {number} http.retries
+ * @property {number} http.timeout
+ * @property {number} http.backoff
+ * @property {number} http.maxDelay
+ */
+
+/**
+ * @type {Config}
+ */
+export const DEFAULT_CONFIG = {
+  provider: 'default',
+  quotes: `
+    AED AFN ALL AMD AOA ARS AUD AWG AZN BAM BBD BDT BHD BIF BMD BND
+    BOB BRL BSD BTN BWP BYN BZD CAD CDF CHF CLP CNY COP CRC CUP CVE
+    CZK DJF DKK DOP DZD EGP ETB EUR FJD GBP GEL GHS GMD GNF GTQ GYD
+    HKD HNL HTG HUF IDR ILS INR IQD IRR ISK JMD JOD JPY KES KGS KHR
+    KMF KRW KWD KYD KZT LAK LBP LKR LRD LSL LYD MAD MDL MGA MKD MOP
+    MRU MUR MVR MWK MXN MYR MZN NAD NGN NIO NOK NPR NZD OMR PEN PGK
+    PHP PKR PLN PYG QAR RON RSD RUB RWF SAR SBD SCR SDG SEK SGD SOS
+    SRD SZL THB TJS TMT TND TRY TTD TWD TZS UAH UGX USD UYU UZS VES
+    VND XAF XCD XOF XPF YER ZAR ZMW
+  `
+    .trim()
+    .split(/\s+/),
+  bases: ['EUR'],
+  baseMode: 'request',
+  precision: 8,
+  outputDir: './data/v1',
+  formats: ['csv'],
+  transactional: true,
+  manifest: true,
+  baseIndex: false,
+  filled: false,
+  aggregates: [],
+  addNewQuotes: false,
+  cacheMode: 'off',
+  cacheDir: './.cache/http',
+  logLevel: 'info',
+  logFormat: 'text',
+  anomalies: {
+    action: 'warn',
+    threshold: 0.5,
+    thresholds: {},
+  },
+  http: {
+    retries: 3,
+    timeout: 2_000,
+    backoff: 3_000,
+    maxDelay: 30_000,
+  },
+};
+
+/**
+ * @param {string | string[]} value
+ * @returns {string[]}
+ */
+export const toList = (value) => {
+  return Array.isArray(value) ? value : value.trim().split(/\s+/);
+};
+
+/**
+ * @param {Config} config
+ * @returns {Config}
+ */
+export const validateConfig = (config) => {
+  const currency = /^[A-Z]{3}$/;
+
+  for (const key of ['quotes', 'bases']) {
+    const invalid = config[key].filter((code) => !currency.test(code));
+
+    if (config[key].length === 0) {
+      throw new Error(`Empty "${key}" in config`);
+    }
+
+    if (invalid.length > 0) {
+      throw new Error(`Invalid "${key}" in config: ${invalid.join(', ')}`);
+    }
+  }
+
+  const formats = config.formats.filter((format) => {
+    return !FORMATS.includes(format);
+  });
+
+  if (config.formats.length === 0) {
+    throw new Error('Empty "formats" in config');
+  }
+
+  if (formats.length > 0) {
+    throw new Error(`Invalid "formats" in config: ${formats.join(', ')}`);
+  }
+
+  const periods = config.aggregates.filter((period) => {
+    return !PERIODS.includes(period);
+  });
+
+  if (periods.length > 0) {
+    throw new Error(`Invalid "aggregates" in config: ${periods.join(', ')}`);
+  }
+
+  if (!['request', 'derive'].includes(config.baseMode)) {
+    throw new Error(`Invalid "baseMode" in config: "${config.baseMode}"`);
+  }
+
+  if (!CACHE_MODES.includes(config.cacheMode)) {
+    throw new Error(`Invalid "cacheMode" in config: "${config.cacheMode}"`);
+  }
+
+  if (!LOG_LEVELS.includes(config.logLevel)) {
+    throw new Error(`Invalid "logLevel" in config: "${config.logLevel}"`);
+  }
+
+  if (!LOG_FORMATS.includes(config.logFormat)) {
+    throw new Error(`Invalid "logFormat" in config: "${config.logFormat}"`);
+  }
+
+  const { anomalies } = config;
+
+  if (!ANOMALY_ACTIONS.includes(anomalies.action)) {
+    throw new Error(
+      `Invalid "anomalies.action" in config: "${anomalies.action}"`
+    );
+  }
+
+  const thresholds = {
+    'anomalies.threshold': anomalies.threshold,
+    ...Object.fromEntries(
+      Object.entries(anomalies.thresholds).map(([quote, value]) => {
+        return [`anomalies.thresholds.${quote}`, value];
+      })
+    ),
+  };
+
+  for (const [key, value] of Object.entries(thresholds)) {
+    if (typeof value !== 'number' || !(value > 0)) {
+      throw new Error(`Invalid "${key}" in config: ${value}`);
+    }
+  }
+
+  const flags = [
+    'transactional',
+    'manifest',
+    'baseIndex',
+    'filled',
+    'addNewQuotes',
+  ];
+
+  for (const key of flags) {
+    if (typeof config[key] !== 'boolean') {
+      throw new Error(`Invalid "${key}" in config: ${config[key]}`);
+    }
+  }
+
+  const { precision } = config;
+
+  // Number#toPrecision only accepts 1 to 100 digits
+  if (!Number.isInteger(precision) || precision < 1 || precision > 100) {
+    throw new Error(`Invalid "precision" in config: ${precision}`);
+  }
+
+  const numbers = {
+    'http.retries': config.http.retries,
+    'http.timeout': config.http.timeout,
+    'http.backoff': config.http.backoff,
+    'http.maxDelay': config.http.maxDelay,
+  };
+
+  for (const [key, value] of Object.entries(numbers)) {
+    if (!Number.isInteger(value) || value < 0) {
+      throw new Error(`Invalid "${key}" in config: ${value}`);
+    }
+  }
+
+  return config;
+};
+
+/**
+ * Resolves the configuration from, in increasing priority: defaults,
+ * the optional JSON config file, environment variables and overrides
+ * given on the command line.
+ *
+ * @param {object=} options
+ * @param {string=} options.file
+ * @param {Partial<Config>=} options.overrides
+ * @returns {Promise<Config>}
+ */
+export const loadConfig = async (options = {}) => {
+  const file = options.file
+    ? JSON.parse(await readFile(options.file, 'utf-8'))
+    : {};
+
+  const fromEnv = {
+    provider: env('AG_PROVIDER', '') || undefined,
+    baseUrl: env('AG_BASE_URL', '') || undefined,
+    apiKeyHeader: env('AG_API_KEY_HEADER', '') || undefined,
+    bases: env('AG_BASES', '') || undefined,
+    baseMode: env('AG_BASE_MODE', '') || undefined,
+    cacheMode: env('AG_CACHE_MODE', '') || undefined,
+    logLevel: env('AG_LOG_LEVEL', '') || undefined,
+  };
+
+  const layers = [DEFAULT_CONFIG, file, fromEnv, options.overrides || {}];
+
+  /**
+   * @param {object} target
+   * @param {object} layer
+   */
+  const merge = (target, layer) => {
+    for (const [key, value] of Object.entries(layer)) {
+      if (value === undefined) {
+        continue;
+      }
+
+      if (key === 'http' || key === 'anomalies') {
+        target[key] = merge({ ...target[key] }, value);
+      } else {
+        target[key] = value;
+      }
+    }
+
+    return target;
+  };
+
+  const config = layers.reduce(merge, {});
+
+  config.quotes = toList(config.quotes);
+  config.bases = toList(config.bases);
+  config.formats = toList(config.formats);
+  config.aggregates = toList(config.aggregates);
+
+  return validateConfig(config);
+};
+
+/**
+ * Creates the configured provider. The API key is only read from the
+ * environment here, so offline commands run without it, and the public
+ * ECB feed and replayed runs do not need one at all.
+ *
+ * @param {Config} config
+ * @returns {import('./providers.js').Provider}
+ */
+export const createConfigProvider = (config) => {
+  if (config.provider === 'ecb') {
+    return createProvider('ecb', { baseUrl: config.baseUrl });
+  }
+
+  // recorded responses are keyed without the API key
+  const replay = config.cacheMode === 'replay';
+
+  return createProvider(config.provider, {
+    // e.g.: https://example.org/api
+    baseUrl: config.baseUrl || env('AG_BASE_URL'),
+    apiKey: env('AG_API_KEY', replay ? '' : undefined),
+    apiKeyHeader: config.apiKeyHeader,
+  });
+};
@@ -0,0 +1,251 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import {
+  createConfigProvider,
+  DEFAULT_CONFIG,
+  loadConfig,
+  toList,
+  validateConfig,
+} from './config.js';
+
+describe('toList', () => {
+  it('should split whitespace separated strings', () => {
+    assert.deepEqual(toList(' USD  JPY\nGBP '), ['USD', 'JPY', 'GBP']);
+  });
+
+  it('should return arrays as is', () => {
+    assert.deepEqual(toList(['USD']), ['USD']);
+  });
+});
+
+describe('validateConfig', () => {
+  it('should accept the default config', () => {
+    assert.equal(validateConfig(DEFAULT_CONFIG), DEFAULT_CONFIG);
+  });
+
+  it('should reject invalid currency codes', () => {
+    assert.throws(
+      () => validateConfig({ ...DEFAULT_CONFIG, bases: ['EUR', 'usd'] }),
+      new Error('Invalid "bases" in config: usd')
+    );
+  });
+
+  it('should reject empty quote lists', () => {
+    assert.throws(
+      () => validateConfig({ ...DEFAULT_CONFIG, quotes: [] }),
+      new Error('Empty "quotes" in config')
+    );
+  });
+
+  it('should reject unknown base modes', () => {
+    assert.throws(
+      () => validateConfig({ ...DEFAULT_CONFIG, baseMode: 'guess' }),
+      new Error('Invalid "baseMode" in config: "guess"')
+    );
+  });
+
+  it('should reject invalid numbers', () => {
+    const http = { ...DEFAULT_CONFIG.http, timeout: '2000' };
+
+    assert.throws(
+      () => validateConfig({ ...DEFAULT_CONFIG, http }),
+      new Error('Invalid "http.timeout" in config: 2000')
+    );
+  });
+
+  it('should reject precisions toPrecision does not accept', () => {
+    for (const precision of [0, 101, 2.5]) {
+      assert.throws(
+        () => validateConfig({ ...DEFAULT_CONFIG, precision }),
+        new Error(`Invalid "precision" in config: ${precision}`)
+      );
+    }
+  });
+
+  it('should reject unknown cache modes', () => {
+    assert.throws(
+      () => validateConfig({ ...DEFAULT_CONFIG, cacheMode: 'on' }),
+      new Error('Invalid "cacheMode" in config: "on"')
+    );
+  });
+
+  it('should reject unknown aggregate periods', () => {
+    assert.throws(
+      () => validateConfig({ ...DEFAULT_CONFIG, aggregates: ['daily'] }),
+      new Error('Invalid "aggregates" in config: daily')
+    );
+  });
+
+  it('should reject unknown anomaly actions', () => {
+    const anomalies = { ...DEFAULT_CONFIG.anomalies, action: 'drop' };
+
+    assert.throws(
+      () => validateConfig({ ...DEFAULT_CONFIG, anomalies }),
+      new Error('Invalid "anomalies.action" in config: "drop"')
+    );
+  });
+
+  it('should reject invalid anomaly thresholds', () => {
+    const anomalies = { ...DEFAULT_CONFIG.anomalies, thresholds: { JPY: 0 } };
+
+    assert.throws(
+      () => validateConfig({ ...DEFAULT_CONFIG, anomalies }),
+      new Error('Invalid "anomalies.thresholds.JPY" in config: 0')
+    );
+  });
+
+  it('should reject non-boolean flags', () => {
+    assert.throws(
+      () => validateConfig({ ...DEFAULT_CONFIG, baseIndex: 'yes' }),
+      new Error('Invalid "baseIndex" in config: yes')
+    );
+  });
+});
+
+describe('loadConfig', () => {
+  let originalEnv;
+  let tempDir;
+
+  beforeEach(async () => {
+    originalEnv = { ...process.env };
+    tempDir = await mkdtemp(join(tmpdir(), 'config-'));
+
+    delete process.env.AG_PROVIDER;
+    delete process.env.AG_BASE_URL;
+    delete process.env.AG_BASES;
+    delete process.env.AG_BASE_MODE;
+  });
+
+  afterEach(async () => {
+    process.env = originalEnv;
+    await rm(tempDir, { recursive: true, force: true });
+  });
+
+  it('should return the defaults without a file', async () => {
+    const config = await loadConfig();
+
+    assert.deepEqual(config, DEFAULT_CONFIG);
+  });
+
+  it('should merge the config file over the defaults', async () => {
+    const file = join(tempDir, 'config.json');
+
+    await writeFile(
+      file,
+      JSON.stringify({
+        quotes: 'USD JPY',
+        outputDir: './out',
+        http: { retries: 1 },
+        anomalies: { action: 'quarantine', thresholds: { TRY: 0.8 } },
+      })
+    );
+
+    const config = await loadConfig({ file });
+
+    assert.deepEqual(config.quotes, ['USD', 'JPY']);
+    assert.equal(config.outputDir, './out');
+    assert.deepEqual(config.http, {
+      retries: 1,
+      timeout: DEFAULT_CONFIG.http.timeout,
+      backoff: DEFAULT_CONFIG.http.backoff,
+      maxDelay: DEFAULT_CONFIG.http.maxDelay,
+    });
+    assert.deepEqual(config.anomalies, {
+      action: 'quarantine',
+      threshold: DEFAULT_CONFIG.anomalies.threshold,
+      thresholds: { TRY: 0.8 },
+    });
+  });
+
+  it('should prefer environment variables over the file', async () => {
+    const file = join(tempDir, 'config.json');
+
+    await writeFile(file, JSON.stringify({ bases: ['GBP'] }));
+    process.env.AG_BASES = 'EUR USD';
+
+    const config = await loadConfig({ file });
+
+    assert.deepEqual(config.bases, ['EUR', 'USD']);
+  });
+
+  it('should prefer overrides over everything else', async () => {
+    process.env.AG_BASE_MODE = 'request';
+
+    const config = await loadConfig({
+      overrides: {
+        baseMode: 'derive',
+        quotes: undefined,
+        http: { retries: 0, timeout: undefined },
+      },
+    });
+
+    assert.equal(config.baseMode, 'derive');
+    assert.deepEqual(config.quotes, DEFAULT_CONFIG.quotes);
+    assert.equal(config.http.retries, 0);
+    assert.equal(config.http.timeout, DEFAULT_CONFIG.http.timeout);
+  });
+});
+
+describe('createConfigProvider', () => {
+  let originalEnv;
+
+  beforeEach(() => {
+    originalEnv = { ...process.env };
+
+    delete process.env.AG_BASE_URL;
+    delete process.env.AG_API_KEY;
+  });
+
+  afterEach(() => {
+    process.env = originalEnv;
+  });
+
+  it('should not need secrets for the ECB provider', () => {
+    const provider = createConfigProvider({
+      ...DEFAULT_CONFIG,
+      provider: 'ecb',
+    });
+
+    assert.equal(provider.format, 'text');
+  });
+
+  it('should read the API key from the environment', () => {
+    process.env.AG_API_KEY = 'secret';
+
+    const provider = createConfigProvider({
+      ...DEFAULT_CONFIG,
+      baseUrl: 'https://example.org/api',
+    });
+
+    assert.equal(
+      provider.url('latest', 'EUR'),
+      'https://example.org/api/latest?access_key=secret'
+    );
+  });
+
+  it('should send the API key in the configured header', () => {
+    process.env.AG_API_KEY = 'secret';
+
+    const provider = createConfigProvider({
+      ...DEFAULT_CONFIG,
+      baseUrl: 'https://example.org/api',
+      apiKeyHeader: 'apikey',
+    });
+
+    assert.equal(
+      provider.url('latest', 'EUR'),
+      'https://example.org/api/latest'
+    );
+    assert.deepEqual(provider.headers(), { apikey: 'secret' });
+  });
+
+  it('should throw without the API location', () => {
+    assert.throws(
+      () => createConfigProvider(DEFAULT_CONFIG),
+      new Error('"AG_BASE_URL" environment variable is not defined')
+    );
+  });
+});
@@ -0,0 +1,99 @@
+import { NotFoundError } from './errors.js';
+import { latest, rateOn } from './reader.js';
+import { round } from './utils.js';
+
+/**
+ * @typedef {object} Conversion
+ * @property {string} from
+ * @property {string} to
+ * @property {number} amount
+ * @property {string | null} date requested date, `null` for the latest
+ *   rates
+ * @property {number} rate units of `to` per unit of `from`
+ * @property {number} result `amount` in `to`
+ * @property {Record<string, string>} dates date of the EUR rate used for
+ *   each currency, which may be before `date`
+ */
+
+/**
+ * Converts `amount` of `from` into `to` by triangulating through the
+ * EUR histories: with the rates of `date`, or of the closest earlier
+ * date with a rate, or with the latest rates when no date is given.
+ *
+ * @param {object} options
+ * @param {string} options.from
+ * @param {string} options.to
+ * @param {number=} options.amount 1 by default
+ * @param {string=} options.date YYYY-MM-DD
+ * @param {number=} options.precision significant digits, 8 by default
+ * @param {number=} options.maxDays how far back rates may be looked for
+ * @param {string=} options.dir data directory, "./data/v1" by default
+ * @returns {Promise<Conversion>}
+ */
+export const convert = async (options) => {
+  const { from, to, date, dir, maxDays } = options;
+  const amount = options.amount ?? 1;
+  const precision = options.precision ?? 8;
+
+  /**
+   * @param {string} quote
+   * @returns {Promise<import('./reader.js').Rate>}
+   */
+  const euroRate = async (quote) => {
+    const rate = date
+      ? await rateOn('EUR', quote, date, { dir, maxDays })
+      : await latest('EUR', quote, { dir });
+
+    if (!rate) {
+      throw new NotFoundError(
+        date
+          ? `No EUR/${quote} rate on or before ${date}`
+          : `No EUR/${quote} rate`
+      );
+    }
+
+    return rate;
+  };
+
+  const fromRate = from === 'EUR' ? null : await euroRate(from);
+  const toRate = to === 'EUR' ? null : await euroRate(to);
+
+  const rate = (toRate?.rate ?? 1) / (fromRate?.rate ?? 1);
+  const dates = {};
+
+  if (fromRate) {
+    dates[from] = fromRate.date;
+  }
+
+  if (toRate) {
+    dates[to] = toRate.date;
+  }
+
+  return {
+    from,
+    to,
+    amount,
+    date: date ?? null,
+    rate: round(rate, precision),
+    result: round(amount * rate, precision),
+    dates,
+  };
+};
+
+/**
+ * Describes `conversion` in one line, with the date of every rate used.
+ *
+ * @param {Conversion} conversion
+ * @returns {string}
+ */
+export const formatConversion = (conversion) => {
+  const { from, to, amount, date, rate, result, dates } = conversion;
+  const used = Object.entries(dates)
+    .map(([quote, day]) => `${quote} of ${day}`)
+    .join(', ');
+
+  return (
+    `${amount} ${from} = ${result} ${to} at ${rate} ` +
+    `(${date ? `on ${date}` : 'latest'}${used ? `, EUR rates: ${used}` : ''})`
+  );
+};
@@ -0,0 +1,80 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdir, mkdtemp, rm, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { convert, formatConversion } from './convert.js';
+import { NotFoundError } from './errors.js';
+
+describe('convert', () => {
+  let dir;
+
+  before(async () => {
+    dir = await mkdtemp(join(tmpdir(), 'convert-'));
+    await mkdir(join(dir, 'EUR'));
+    await writeFile(join(dir, 'EUR', 'USD.csv'), '2024-01-05,1.25\n');
+    await writeFile(join(dir, 'EUR', 'USD.latest.csv'), '2024-01-08,1.2\n');
+    await writeFile(join(dir, 'EUR', 'JPY.csv'), '2024-01-04,150\n');
+  });
+
+  after(async () => {
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  it('should triangulate with the previous available rates', async () => {
+    const conversion = await convert({
+      from: 'USD',
+      to: 'JPY',
+      amount: 10,
+      date: '2024-01-06',
+      dir,
+    });
+
+    assert.deepEqual(conversion, {
+      from: 'USD',
+      to: 'JPY',
+      amount: 10,
+      date: '2024-01-06',
+      rate: 120,
+      result: 1200,
+      dates: { USD: '2024-01-05', JPY: '2024-01-04' },
+    });
+  });
+
+  it('should use the latest rates without a date', async () => {
+    const conversion = await convert({ from: 'EUR', to: 'USD', dir });
+
+    assert.equal(conversion.result, 1.2);
+    assert.deepEqual(conversion.dates, { USD: '2024-01-08' });
+  });
+
+  it('should throw without a rate', async () => {
+    await assert.rejects(
+      convert({ from: 'USD', to: 'JPY', date: '2024-01-01', dir }),
+      new NotFoundError('No EUR/USD rate on or before 2024-01-01')
+    );
+  });
+});
+
+describe('formatConversion', () => {
+  it('should tell the dates of the rates used', () => {
+    const conversion = {
+      from: 'USD',
+      to: 'EUR',
+      amount: 10,
+      date: '2024-01-06',
+      rate: 0.8,
+      result: 8,
+      dates: { USD: '2024-01-05' },
+    };
+
+    assert.equal(
+      formatConversion(conversion),
+      '10 USD = 8 EUR at 0.8 (on 2024-01-06, EUR rates: USD of 2024-01-05)'
+    );
+    assert.equal(
+      formatConversion({ ...conversion, from: 'EUR', date: null, dates: {} }),
+      '10 EUR = 8 EUR at 0.8 (latest)'
+    );
+  });
+});
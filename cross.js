@@ -0,0 +1,52 @@
+import { parseLine, readLines } from './history.js';
+import { round } from './utils.js';
+
+/**
+ * Derives `base`/`quote` history lines from two histories quoted against
+ * the same currency. Dates missing or blank in either history are
+ * skipped.
+ *
+ * @param {string[]} baseLines
+ * @param {string[]} quoteLines
+ * @param {object} options
+ * @param {number} options.precision significant digits
+ * @returns {string[]}
+ */
+export const crossLines = (baseLines, quoteLines, options) => {
+  const baseRates = new Map(
+    baseLines.map((line) => parseLine(line)).filter(([, rate]) => rate)
+  );
+
+  return quoteLines
+    .map((line) => parseLine(line))
+    .filter(([date, rate]) => rate && baseRates.has(date))
+    .map(([date, rate]) => {
+      const cross = Number(rate) / Number(baseRates.get(date));
+
+      return `${date},${round(cross, options.precision)}`;
+    });
+};
+
+/**
+ * Reads `<dir>/<base>.csv` and `<dir>/<quote>.csv` and derives the
+ * `base`/`quote` series, e.g. USD/JPY out of the EUR dataset.
+ *
+ * @param {string} dir
+ * @param {string} base
+ * @param {string} quote
+ * @param {object} options
+ * @param {number} options.precision significant digits
+ * @returns {Promise<string[]>}
+ */
+export const crossSeries = async (dir, base, quote, options) => {
+  const [baseLines, quoteLines] = await Promise.all([
+    readLines(`${dir}/${base}.csv`),
+    readLines(`${dir}/${quote}.csv`),
+  ]);
+
+  if (baseLines.length === 0 || quoteLines.length === 0) {
+    throw new Error(`No "${base}" or "${quote}" history in "${dir}"`);
+  }
+
+  return crossLines(baseLines, quoteLines, options);
+};
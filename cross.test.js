@@ -0,0 +1,78 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { crossLines, crossSeries } from './cross.js';
+
+describe('crossLines', () => {
+  it('should divide quote rates by base rates on the same date', () => {
+    const result = crossLines(
+      ['2024-01-01,1.1', '2024-01-02,1.2'],
+      ['2024-01-01,160', '2024-01-02,162'],
+      { precision: 6 }
+    );
+
+    assert.deepEqual(result, ['2024-01-01,145.455', '2024-01-02,135']);
+  });
+
+  it('should skip dates missing from either series', () => {
+    const result = crossLines(
+      ['2024-01-01,2', '2024-01-03,2'],
+      ['2024-01-02,4', '2024-01-03,4', '2024-01-04,4'],
+      { precision: 6 }
+    );
+
+    assert.deepEqual(result, ['2024-01-03,2']);
+  });
+
+  it('should skip blank rates', () => {
+    const result = crossLines(
+      ['2024-01-01,', '2024-01-02,2'],
+      ['2024-01-01,4', '2024-01-02,'],
+      { precision: 6 }
+    );
+
+    assert.deepEqual(result, []);
+  });
+
+  it('should respect the requested precision', () => {
+    const result = crossLines(['2024-01-01,3'], ['2024-01-01,1'], {
+      precision: 3,
+    });
+
+    assert.deepEqual(result, ['2024-01-01,0.333']);
+  });
+});
+
+describe('crossSeries', () => {
+  let tempDir;
+
+  beforeEach(async () => {
+    tempDir = await mkdtemp(join(tmpdir(), 'cross-'));
+  });
+
+  afterEach(async () => {
+    await rm(tempDir, { recursive: true, force: true });
+  });
+
+  it('should read both quote files from the directory', async () => {
+    await writeFile(join(tempDir, 'USD.csv'), '2024-01-01,1.25\n');
+    await writeFile(join(tempDir, 'GBP.csv'), '2024-01-01,0.85\n');
+
+    const result = await crossSeries(tempDir, 'USD', 'GBP', {
+      precision: 6,
+    });
+
+    assert.deepEqual(result, ['2024-01-01,0.68']);
+  });
+
+  it('should throw when a quote file is missing', async () => {
+    await writeFile(join(tempDir, 'USD.csv'), '2024-01-01,1.25\n');
+
+    await assert.rejects(
+      crossSeries(tempDir, 'USD', 'XXX', { precision: 6 }),
+      new Error(`No "USD" or "XXX" history in "${tempDir}"`)
+    );
+  });
+});
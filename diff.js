@@ -0,0 +1,259 @@
+/**
+ * @typedef {[' ' | '-' | '+', string]} Edit a kept, removed or added line
+ */
+
+/**
+ * Largest number of edits looked for between two ranges before they
+ * are reported as removed and added as a whole, which keeps rewrites of
+ * whole files (e.g. redenominations) fast.
+ */
+const MAX_EDITS = 1000;
+
+/**
+ * Finds where a shortest edit path between `a[aStart..aEnd]` and
+ * `b[bStart..bEnd]` crosses its middle, searching forwards and
+ * backwards at once so that only two diagonals arrays are needed.
+ *
+ * @param {string[]} a
+ * @param {number} aStart
+ * @param {number} aEnd
+ * @param {string[]} b
+ * @param {number} bStart
+ * @param {number} bEnd
+ * @returns {[number, number] | null} offsets in both ranges, or `null`
+ *   past `MAX_EDITS`
+ */
+const middle = (a, aStart, aEnd, b, bStart, bEnd) => {
+  const n = aEnd - aStart;
+  const m = bEnd - bStart;
+  const max = Math.min(Math.ceil((n + m) / 2), MAX_EDITS);
+  const offset = max;
+  const forward = new Int32Array(2 * max + 2).fill(-1);
+  const backward = new Int32Array(2 * max + 2).fill(-1);
+  const delta = n - m;
+  const odd = delta % 2 !== 0;
+
+  // diagonals trimmed from both ends once they leave the grid
+  let forwardStart = 0;
+  let forwardEnd = 0;
+  let backwardStart = 0;
+  let backwardEnd = 0;
+
+  forward[offset + 1] = 0;
+  backward[offset + 1] = 0;
+
+  for (let d = 0; d < max; d++) {
+    for (let k = -d + forwardStart; k <= d - forwardEnd; k += 2) {
+      const i = offset + k;
+      let x =
+        k === -d || (k !== d && forward[i - 1] < forward[i + 1])
+          ? forward[i + 1]
+          : forward[i - 1] + 1;
+      let y = x - k;
+
+      while (x < n && y < m && a[aStart + x] === b[bStart + y]) {
+        x++;
+        y++;
+      }
+
+      forward[i] = x;
+
+      if (x > n) {
+        forwardEnd += 2;
+      } else if (y > m) {
+        forwardStart += 2;
+      } else if (odd) {
+        const j = offset + delta - k;
+
+        if (j >= 0 && j < backward.length && backward[j] !== -1) {
+          if (x >= n - backward[j]) {
+            return [x, y];
+          }
+        }
+      }
+    }
+
+    for (let k = -d + backwardStart; k <= d - backwardEnd; k += 2) {
+      const i = offset + k;
+      let x =
+        k === -d || (k !== d && backward[i - 1] < backward[i + 1])
+          ? backward[i + 1]
+          : backward[i - 1] + 1;
+      let y = x - k;
+
+      while (x < n && y < m && a[aEnd - x - 1] === b[bEnd - y - 1]) {
+        x++;
+        y++;
+      }
+
+      backward[i] = x;
+
+      if (x > n) {
+        backwardEnd += 2;
+      } else if (y > m) {
+        backwardStart += 2;
+      } else if (!odd) {
+        const j = offset + delta - k;
+
+        if (j >= 0 && j < forward.length && forward[j] !== -1) {
+          const forwardX = forward[j];
+
+          if (forwardX >= n - x) {
+            return [forwardX, forwardX - (j - offset)];
+          }
+        }
+      }
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Appends the edits turning `a[aStart..aEnd]` into `b[bStart..bEnd]` to
+ * `edits`, splitting the ranges where a shortest path crosses their
+ * middle.
+ *
+ * @param {string[]} a
+ * @param {number} aStart
+ * @param {number} aEnd
+ * @param {string[]} b
+ * @param {number} bStart
+ * @param {number} bEnd
+ * @param {Edit[]} edits
+ */
+const diffRanges = (a, aStart, aEnd, b, bStart, bEnd, edits) => {
+  while (aStart < aEnd && bStart < bEnd && a[aStart] === b[bStart]) {
+    edits.push([' ', a[aStart]]);
+    aStart++;
+    bStart++;
+  }
+
+  let common = 0;
+
+  while (aEnd > aStart && bEnd > bStart && a[aEnd - 1] === b[bEnd - 1]) {
+    aEnd--;
+    bEnd--;
+    common++;
+  }
+
+  const split =
+    aStart < aEnd && bStart < bEnd
+      ? middle(a, aStart, aEnd, b, bStart, bEnd)
+      : null;
+
+  if (split) {
+    const [x, y] = split;
+
+    diffRanges(a, aStart, aStart + x, b, bStart, bStart + y, edits);
+    diffRanges(a, aStart + x, aEnd, b, bStart + y, bEnd, edits);
+  } else {
+    for (let i = aStart; i < aEnd; i++) {
+      edits.push(['-', a[i]]);
+    }
+
+    for (let i = bStart; i < bEnd; i++) {
+      edits.push(['+', b[i]]);
+    }
+  }
+
+  for (let i = aEnd; i < aEnd + common; i++) {
+    edits.push([' ', a[i]]);
+  }
+};
+
+/**
+ * Finds the shortest list of edits turning the `before` lines into the
+ * `after` lines, with the linear space variant of Myers' algorithm.
+ * Ranges needing more than `MAX_EDITS` edits are replaced as a whole.
+ *
+ * @param {string[]} before
+ * @param {string[]} after
+ * @returns {Edit[]}
+ */
+export const diffLines = (before, after) => {
+  const edits = [];
+
+  diffRanges(before, 0, before.length, after, 0, after.length, edits);
+
+  return edits;
+};
+
+/**
+ * @param {string | null} content
+ * @returns {string[]}
+ */
+const toLines = (content) => {
+  if (!content) {
+    return [];
+  }
+
+  const lines = content.split('\n');
+
+  return lines.at(-1) === '' ? lines.slice(0, -1) : lines;
+};
+
+/**
+ * @param {number} start lines before the hunk
+ * @param {number} count lines in the hunk
+ * @returns {string}
+ */
+const range = (start, count) => {
+  if (count === 1) {
+    return `${start + 1}`;
+  }
+
+  return `${count === 0 ? start : start + 1},${count}`;
+};
+
+/**
+ * Formats the changes from `before` to `after` as a unified diff without
+ * context lines, or an empty string when the file did not change. Files
+ * that do not exist are `null`.
+ *
+ * @param {string} name
+ * @param {string | null} before
+ * @param {string | null} after
+ * @returns {string}
+ */
+export const formatDiff = (name, before, after) => {
+  const edits = diffLines(toLines(before), toLines(after));
+  const lines = [
+    before === null ? '--- /dev/null' : `--- a/${name}`,
+    after === null ? '+++ /dev/null' : `+++ b/${name}`,
+  ];
+
+  let oldLine = 0;
+  let newLine = 0;
+  let i = 0;
+
+  while (i < edits.length) {
+    if (edits[i][0] === ' ') {
+      oldLine++;
+      newLine++;
+      i++;
+      continue;
+    }
+
+    const removed = [];
+    const added = [];
+
+    for (; i < edits.length && edits[i][0] !== ' '; i++) {
+      const [type, line] = edits[i];
+
+      (type === '-' ? removed : added).push(`${type}${line}`);
+    }
+
+    lines.push(
+      `@@ -${range(oldLine, removed.length)} ` +
+        `+${range(newLine, added.length)} @@`,
+      ...removed,
+      ...added
+    );
+
+    oldLine += removed.length;
+    newLine += added.length;
+  }
+
+  return lines.length > 2 || before !== after ? lines.join('\n') : '';
+};
@@ -0,0 +1,75 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { diffLines, formatDiff } from './diff.js';
+
+describe('diffLines', () => {
+  it('should keep common lines', () => {
+    assert.deepEqual(diffLines(['a', 'b', 'c'], ['a', 'x', 'c']), [
+      [' ', 'a'],
+      ['-', 'b'],
+      ['+', 'x'],
+      [' ', 'c'],
+    ]);
+  });
+
+  it('should find the longest common lines', () => {
+    const edits = diffLines([...'abcabba'], [...'cbabac']);
+
+    assert.equal(edits.filter(([type]) => type === ' ').length, 4);
+    assert.equal(
+      edits.filter(([type]) => type !== '+').map(([, line]) => line).join(''),
+      'abcabba'
+    );
+    assert.equal(
+      edits.filter(([type]) => type !== '-').map(([, line]) => line).join(''),
+      'cbabac'
+    );
+  });
+
+  it('should replace rewritten files as a whole', () => {
+    const before = Array.from({ length: 10_000 }, (_, i) => `${i},1`);
+    const after = Array.from({ length: 10_000 }, (_, i) => `${i},2`);
+    const edits = diffLines(['head', ...before], ['head', ...after]);
+
+    assert.equal(edits.length, 20_001);
+    assert.deepEqual(edits[0], [' ', 'head']);
+    assert.deepEqual(edits[1], ['-', '0,1']);
+    assert.deepEqual(edits[10_001], ['+', '0,2']);
+  });
+
+  it('should handle empty sides', () => {
+    assert.deepEqual(diffLines([], ['a']), [['+', 'a']]);
+    assert.deepEqual(diffLines(['a'], []), [['-', 'a']]);
+    assert.deepEqual(diffLines([], []), []);
+  });
+});
+
+describe('formatDiff', () => {
+  it('should print changed rows without context', () => {
+    const before = '2024-01-01,1\n2024-01-03,3\n';
+    const after = '2024-01-01,1\n2024-01-02,2\n2024-01-03,3.1\n';
+
+    assert.equal(
+      formatDiff('EUR/USD.csv', before, after),
+      [
+        '--- a/EUR/USD.csv',
+        '+++ b/EUR/USD.csv',
+        '@@ -2 +2,2 @@',
+        '-2024-01-03,3',
+        '+2024-01-02,2',
+        '+2024-01-03,3.1',
+      ].join('\n')
+    );
+  });
+
+  it('should print new files', () => {
+    assert.equal(
+      formatDiff('EUR/USD.csv', null, '2024-01-01,1\n'),
+      '--- /dev/null\n+++ b/EUR/USD.csv\n@@ -0,0 +1 @@\n+2024-01-01,1'
+    );
+  });
+
+  it('should return an empty string for unchanged files', () => {
+    assert.equal(formatDiff('EUR/USD.csv', 'a\n', 'a\n'), '');
+  });
+});
@@ -0,0 +1,177 @@
+/**
+ * Error reported by a rate provider in an otherwise successful response.
+ */
+export class ApiError extends Error {
+  /**
+   * @type {string | number | undefined}
+   */
+  code;
+
+  /**
+   * @type {boolean}
+   */
+  retryable;
+
+  /**
+   * @param {string} message
+   * @param {object=} options
+   * @param {string | number=} options.code
+   * @param {boolean=} options.retryable
+   */
+  constructor(message, options = {}) {
+    super(message);
+
+    this.name = 'ApiError';
+    this.code = options.code;
+    this.retryable = options.retryable || false;
+  }
+}
+
+/**
+ * Error thrown when some quotes of a run could not be written.
+ */
+export class WriteError extends Error {
+  /**
+   * @type {import('./utils.js').QuoteOutcome[]}
+   */
+  outcomes;
+
+  /**
+   * @type {Map<string, Error>}
+   */
+  failures;
+
+  /**
+   * @param {import('./utils.js').QuoteOutcome[]} outcomes of every quote
+   */
+  constructor(outcomes) {
+    const failures = new Map(
+      outcomes
+        .filter((outcome) => outcome.status === 'rejected')
+        .map((outcome) => [outcome.quote, outcome.error])
+    );
+
+    const details = [...failures]
+      .map(([quote, error]) => `${quote} (${error.message})`)
+      .join(', ');
+
+    super(`Failed to write ${failures.size} quote(s): ${details}`);
+
+    this.name = 'WriteError';
+    this.outcomes = outcomes;
+    this.failures = failures;
+  }
+}
+
+/**
+ * Error for a response with a non-2xx status.
+ */
+export class HttpError extends Error {
+  /**
+   * @type {number}
+   */
+  status;
+
+  /**
+   * @type {number | null} milliseconds to wait as asked by `Retry-After`
+   */
+  retryAfter;
+
+  /**
+   * @type {boolean}
+   */
+  retryable;
+
+  /**
+   * @param {string} message
+   * @param {object} options
+   * @param {number} options.status
+   * @param {(number | null)=} options.retryAfter
+   * @param {boolean=} options.retryable
+   */
+  constructor(message, options) {
+    super(message);
+
+    this.name = 'HttpError';
+    this.status = options.status;
+    this.retryAfter = options.retryAfter ?? null;
+    this.retryable = options.retryable ?? true;
+  }
+}
+
+/**
+ * Error for a request that has no recorded response in replay mode.
+ */
+export class CacheMissError extends Error {
+  /**
+   * @type {boolean}
+   */
+  retryable = false;
+
+  /**
+   * @param {string} url redacted URL
+   * @param {string} dir
+   */
+  constructor(url, dir) {
+    super(`No recorded response for "${url}" in "${dir}"`);
+
+    this.name = 'CacheMissError';
+  }
+}
+
+/**
+ * Error thrown when anomalous rates abort a run.
+ */
+export class AnomalyError extends Error {
+  /**
+   * @type {import('./anomaly.js').Anomaly[]}
+   */
+  anomalies;
+
+  /**
+   * @param {import('./anomaly.js').Anomaly[]} anomalies
+   */
+  constructor(anomalies) {
+    const details = anomalies.map((anomaly) => anomaly.message).join('; ');
+
+    super(`Aborted on ${anomalies.length} anomalous rate(s): ${details}`);
+
+    this.name = 'AnomalyError';
+    this.anomalies = anomalies;
+  }
+}
+
+/**
+ * Error for rates that the dataset does not have.
+ */
+export class NotFoundError extends Error {
+  /**
+   * @param {string} message
+   */
+  constructor(message) {
+    super(message);
+
+    this.name = 'NotFoundError';
+  }
+}
+
+/**
+ * Error for a request the server rejects, answered with its `status`.
+ */
+export class RequestError extends Error {
+  /**
+   * @type {number}
+   */
+  status;
+
+  /**
+   * @param {string} message
+   * @param {number} status e.g. 400 or 405
+   */
+  constructor(message, status) {
+    super(message);
+
+    this.name = 'RequestError';
+    this.status = status;
+  }
+}
@@ -0,0 +1,63 @@
+import { mkdir, readdir } from 'fs/promises';
+import { parseLine, readLines, writeLines } from './history.js';
+import { dateRange } from './utils.js';
+
+/**
+ * Turns history lines into one `date,rate,flag` line per calendar day,
+ * from the first rate to the last date. Days missing from the history
+ * or without a rate carry the last rate forward and are flagged
+ * `filled`, the others `observed`.
+ *
+ * @param {string[]} lines
+ * @returns {string[]}
+ */
+export const fillLines = (lines) => {
+  const filled = [];
+  let lastDate;
+  let lastRate;
+
+  for (const line of lines) {
+    const [date, rate] = parseLine(line);
+
+    if (lastRate !== undefined) {
+      for (const day of dateRange(lastDate, date).slice(1, -1)) {
+        filled.push(`${day},${lastRate},filled`);
+      }
+    }
+
+    if (rate) {
+      filled.push(`${date},${rate},observed`);
+      lastRate = rate;
+    } else if (lastRate !== undefined) {
+      filled.push(`${date},${lastRate},filled`);
+    }
+
+    lastDate = date;
+  }
+
+  return filled;
+};
+
+/**
+ * Writes the filled variant of every `<dir>/<QUOTE>.csv` history to
+ * `<dir>/filled/<QUOTE>.csv` and resolves with the quotes written.
+ *
+ * @param {string} dir
+ * @returns {Promise<string[]>}
+ */
+export const fillDir = async (dir) => {
+  const quotes = (await readdir(dir))
+    .filter((name) => /^[A-Z]{3}\.csv$/.test(name))
+    .map((name) => name.substring(0, 3))
+    .sort();
+
+  await mkdir(`${dir}/filled`, { recursive: true });
+
+  for (const quote of quotes) {
+    const lines = await readLines(`${dir}/${quote}.csv`);
+
+    await writeLines(`${dir}/filled/${quote}.csv`, fillLines(lines));
+  }
+
+  return quotes;
+};
@@ -0,0 +1,51 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, readFile, rm, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { fillDir, fillLines } from './filled.js';
+
+describe('fillLines', () => {
+  it('should carry rates forward over missing days', () => {
+    assert.deepEqual(
+      fillLines(['2024-01-05,1.1', '2024-01-08,1.2', '2024-01-09,']),
+      [
+        '2024-01-05,1.1,observed',
+        '2024-01-06,1.1,filled',
+        '2024-01-07,1.1,filled',
+        '2024-01-08,1.2,observed',
+        '2024-01-09,1.2,filled',
+      ]
+    );
+  });
+
+  it('should start at the first rate', () => {
+    assert.deepEqual(fillLines(['2024-01-01,', '2024-01-03,2']), [
+      '2024-01-03,2,observed',
+    ]);
+    assert.deepEqual(fillLines([]), []);
+  });
+});
+
+describe('fillDir', () => {
+  let tempDir;
+
+  beforeEach(async () => {
+    tempDir = await mkdtemp(join(tmpdir(), 'filled-'));
+  });
+
+  afterEach(async () => {
+    await rm(tempDir, { recursive: true, force: true });
+  });
+
+  it('should write a filled file per history', async () => {
+    await writeFile(join(tempDir, 'USD.csv'), '2024-01-01,1\n2024-01-03,3\n');
+    await writeFile(join(tempDir, 'USD.latest.csv'), '2024-01-03,3\n');
+
+    assert.deepEqual(await fillDir(tempDir), ['USD']);
+    assert.equal(
+      await readFile(join(tempDir, 'filled', 'USD.csv'), 'utf-8'),
+      '2024-01-01,1,observed\n2024-01-02,1,filled\n2024-01-03,3,observed\n'
+    );
+  });
+});
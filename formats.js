@@ -0,0 +1,160 @@
+import { mkdir, readFile, writeFile } from 'fs/promises';
+import { dirname } from 'path';
+import { insertLine, mergeLine, upsertLine } from './history.js';
+import { writeQuotes } from './utils.js';
+
+/**
+ * @typedef {import('./utils.js').Writer} Writer
+ * @typedef {import('./logger.js').Logger} Logger
+ */
+
+export const FORMATS = ['csv', 'json-daily', 'json-series', 'ndjson'];
+
+/**
+ * @param {string} line
+ * @returns {string}
+ */
+export const jsonDate = (line) => {
+  return JSON.parse(line).date;
+};
+
+/**
+ * @param {string} line
+ * @returns {boolean}
+ */
+const isBlankJson = (line) => {
+  return JSON.parse(line).rate === null;
+};
+
+/**
+ * @param {string} date
+ * @param {number | null | undefined} rate
+ * @returns {string}
+ */
+const toJsonLine = (date, rate) => {
+  return JSON.stringify({ date, rate: rate ?? null });
+};
+
+/**
+ * Runs `task` for every quote of `data`, four at a time.
+ *
+ * @param {import('./providers.js').Rates} data
+ * @param {(quote: string, rate: number) => Promise<boolean>} task
+ * @param {Logger=} logger
+ * @returns {Promise<import('./utils.js').QuoteOutcome[]>}
+ */
+const eachQuote = (data, task, logger) => {
+  const tasks = Object.entries(data.rates)
+    .sort(([prevQuote], [nextQuote]) => {
+      return prevQuote.localeCompare(nextQuote);
+    })
+    .map(([quote, rate]) => {
+      return [quote, () => task(quote, rate)];
+    });
+
+  return writeQuotes(tasks, { logger });
+};
+
+/**
+ * Writes all rates of a day into a single JSON file. Unless `replace`
+ * is set, an existing file for the same day is kept.
+ *
+ * @param {object} options
+ * @param {(date: string) => string | Promise<string>} options.path
+ * @param {string} options.base
+ * @param {boolean=} options.replace
+ * @returns {Writer}
+ */
+export const createJsonDayWriter = (options) => {
+  return async (data) => {
+    const path = await options.path(data.date);
+    const content = {
+      date: data.date,
+      base: options.base,
+      rates: data.rates,
+    };
+
+    await mkdir(dirname(path), { recursive: true });
+
+    try {
+      await writeFile(path, `${JSON.stringify(content, null, 2)}\n`, {
+        encoding: 'utf-8',
+        flag: options.replace ? 'w' : 'wx',
+      });
+    } catch (error) {
+      if (error.code !== 'EEXIST') {
+        throw error;
+      }
+    }
+  };
+};
+
+/**
+ * Keeps one JSON array of `{ date, rate }` entries per quote, sorted by
+ * date, with one entry per line to keep diffs readable.
+ *
+ * @param {object} options
+ * @param {(quote: string) => string | Promise<string>} options.path
+ * @param {boolean=} options.replace
+ * @param {Logger=} options.logger
+ * @returns {Writer}
+ */
+export const createJsonSeriesWriter = (options) => {
+  return (data) => {
+    return eachQuote(data, async (quote, rate) => {
+      const path = await options.path(quote);
+      let entries = [];
+
+      try {
+        entries = JSON.parse(await readFile(path, 'utf-8'));
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          throw error;
+        }
+      }
+
+      const lines = mergeLine(
+        entries.map((entry) => JSON.stringify(entry)),
+        toJsonLine(data.date, rate),
+        { replace: options.replace, dateOf: jsonDate, isBlank: isBlankJson }
+      );
+
+      if (lines) {
+        await mkdir(dirname(path), { recursive: true });
+        await writeFile(path, `[\n${lines.join(',\n')}\n]\n`, {
+          encoding: 'utf-8',
+          flag: 'w',
+        });
+      }
+
+      return Boolean(lines);
+    }, options.logger);
+  };
+};
+
+/**
+ * Keeps one NDJSON file of `{ date, rate }` lines per quote, with the
+ * same one-row-per-date guarantee as the CSV history.
+ *
+ * @param {object} options
+ * @param {(quote: string) => string | Promise<string>} options.path
+ * @param {boolean=} options.replace
+ * @param {Logger=} options.logger
+ * @returns {Writer}
+ */
+export const createNdjsonWriter = (options) => {
+  const handler = options.replace ? upsertLine : insertLine;
+
+  return (data) => {
+    return eachQuote(data, async (quote, rate) => {
+      const path = await options.path(quote);
+
+      await mkdir(dirname(path), { recursive: true });
+
+      return handler(path, toJsonLine(data.date, rate), {
+        dateOf: jsonDate,
+        isBlank: isBlankJson,
+      });
+    }, options.logger);
+  };
+};
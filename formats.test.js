@@ -0,0 +1,144 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, readFile, rm, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import {
+  createJsonDayWriter,
+  createJsonSeriesWriter,
+  createNdjsonWriter,
+  jsonDate,
+} from './formats.js';
+
+describe('jsonDate', () => {
+  it('should return the date of a JSON line', () => {
+    assert.equal(jsonDate('{"date":"2024-01-01","rate":1}'), '2024-01-01');
+  });
+});
+
+describe('writers', () => {
+  let tempDir;
+
+  beforeEach(async () => {
+    tempDir = await mkdtemp(join(tmpdir(), 'formats-'));
+  });
+
+  afterEach(async () => {
+    await rm(tempDir, { recursive: true, force: true });
+  });
+
+  describe('createJsonDayWriter', () => {
+    it('should write all rates of the day into one file', async () => {
+      const write = createJsonDayWriter({
+        path: (date) => join(tempDir, 'daily', `${date}.json`),
+        base: 'EUR',
+      });
+
+      await write({ date: '2024-01-01', rates: { JPY: 160, USD: 1.1 } });
+
+      const content = await readFile(
+        join(tempDir, 'daily', '2024-01-01.json'),
+        'utf-8'
+      );
+
+      assert.deepEqual(JSON.parse(content), {
+        date: '2024-01-01',
+        base: 'EUR',
+        rates: { JPY: 160, USD: 1.1 },
+      });
+    });
+
+    it('should keep existing files unless replacing', async () => {
+      const path = join(tempDir, 'day.json');
+      const data = { date: '2024-01-01', rates: { USD: 1.2 } };
+
+      await writeFile(path, 'existing');
+
+      await createJsonDayWriter({ path: () => path, base: 'EUR' })(data);
+      assert.equal(await readFile(path, 'utf-8'), 'existing');
+
+      await createJsonDayWriter({
+        path: () => path,
+        base: 'EUR',
+        replace: true,
+      })(data);
+      assert.equal(JSON.parse(await readFile(path, 'utf-8')).date, data.date);
+    });
+  });
+
+  describe('createJsonSeriesWriter', () => {
+    it('should keep a sorted series per quote', async () => {
+      const write = createJsonSeriesWriter({
+        path: (quote) => join(tempDir, 'json', `${quote}.json`),
+        replace: true,
+      });
+
+      await write({ date: '2024-01-02', rates: { USD: 1.2 } });
+      await write({ date: '2024-01-01', rates: { USD: 1.1 } });
+      await write({ date: '2024-01-02', rates: { USD: 1.3 } });
+
+      const content = await readFile(
+        join(tempDir, 'json', 'USD.json'),
+        'utf-8'
+      );
+
+      assert.equal(
+        content,
+        '[\n' +
+          '{"date":"2024-01-01","rate":1.1},\n' +
+          '{"date":"2024-01-02","rate":1.3}\n' +
+          ']\n'
+      );
+    });
+
+    it('should keep existing entries unless replacing', async () => {
+      const write = createJsonSeriesWriter({
+        path: (quote) => join(tempDir, `${quote}.json`),
+      });
+
+      await write({ date: '2024-01-01', rates: { USD: 1.1 } });
+      await write({ date: '2024-01-01', rates: { USD: 1.5 } });
+
+      const content = await readFile(join(tempDir, 'USD.json'), 'utf-8');
+
+      assert.deepEqual(JSON.parse(content), [
+        { date: '2024-01-01', rate: 1.1 },
+      ]);
+    });
+  });
+
+  describe('createNdjsonWriter', () => {
+    it('should keep one line per date and quote', async () => {
+      const write = createNdjsonWriter({
+        path: (quote) => join(tempDir, 'ndjson', `${quote}.ndjson`),
+        replace: true,
+      });
+
+      await write({ date: '2024-01-01', rates: { USD: 1.1, JPY: null } });
+      await write({ date: '2024-01-02', rates: { USD: 1.2, JPY: 160 } });
+      await write({ date: '2024-01-02', rates: { USD: 1.25, JPY: 160 } });
+
+      const usd = await readFile(
+        join(tempDir, 'ndjson', 'USD.ndjson'),
+        'utf-8'
+      );
+
+      const jpy = await readFile(
+        join(tempDir, 'ndjson', 'JPY.ndjson'),
+        'utf-8'
+      );
+
+      assert.equal(
+        usd,
+        '{"date":"2024-01-01","rate":1.1}\n' +
+          '{"date":"2024-01-02","rate":1.25}\n'
+      );
+
+      assert.equal(
+        jpy,
+        '{"date":"2024-01-01","rate":null}\n' +
+          '{"date":"2024-01-02","rate":160}\n'
+      );
+    });
+  });
+});
@@ -0,0 +1,290 @@
+import {
+  appendFile,
+  open,
+  readFile,
+  truncate,
+  writeFile,
+} from 'fs/promises';
+
+/**
+ * @param {string} line
+ * @returns {[string, string]}
+ */
+export const parseLine = (line) => {
+  const index = line.indexOf(',');
+
+  if (index === -1) {
+    return [line, ''];
+  }
+
+  return [line.substring(0, index), line.substring(index + 1)];
+};
+
+/**
+ * @param {string} line
+ * @returns {string}
+ */
+export const lineDate = (line) => {
+  return parseLine(line)[0];
+};
+
+/**
+ * @param {string} path
+ * @returns {Promise<string[]>}
+ */
+export const readLines = async (path) => {
+  let content;
+
+  try {
+    content = await readFile(path, 'utf-8');
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return [];
+    }
+
+    throw error;
+  }
+
+  return content.split('\n').filter(Boolean);
+};
+
+/**
+ * @param {string} path
+ * @param {string[]} lines
+ * @returns {Promise<void>}
+ */
+export const writeLines = (path, lines) => {
+  const content = lines.map((line) => `${line}\n`).join('');
+
+  return writeFile(path, content, {
+    encoding: 'utf-8',
+    flag: 'w',
+  });
+};
+
+/**
+ * @param {string} line
+ * @returns {boolean}
+ */
+const isBlankLine = (line) => {
+  return parseLine(line)[1] === '';
+};
+
+/**
+ * @param {string} path
+ * @returns {Promise<Set<string>>}
+ */
+export const readDates = async (path) => {
+  const lines = await readLines(path);
+
+  return new Set(lines.map(lineDate));
+};
+
+/**
+ * Returns a copy of `lines` with `line` placed in date order, or
+ * `null` when nothing has to change. A row for the same date is kept
+ * as is unless `replace` is set, in which case it is overwritten, but
+ * never by a line without a rate. Lines other than CSV rows can be
+ * merged by passing their `dateOf` and `isBlank`.
+ *
+ * @param {string[]} lines
+ * @param {string} line
+ * @param {object=} options
+ * @param {boolean=} options.replace
+ * @param {(line: string) => string=} options.dateOf
+ * @param {(line: string) => boolean=} options.isBlank
+ * @returns {string[] | null}
+ */
+export const mergeLine = (lines, line, options = {}) => {
+  const dateOf = options.dateOf || lineDate;
+  const isBlank = options.isBlank || isBlankLine;
+  const date = dateOf(line);
+  let index = lines.length;
+
+  while (index > 0 && dateOf(lines[index - 1]) >= date) {
+    index--;
+  }
+
+  let end = index;
+
+  while (end < lines.length && dateOf(lines[end]) === date) {
+    end++;
+  }
+
+  if (end > index) {
+    const unchanged = end - index === 1 && lines[index] === line;
+
+    if (!options.replace || unchanged || isBlank(line)) {
+      return null;
+    }
+  }
+
+  return [...lines.slice(0, index), line, ...lines.slice(end)];
+};
+
+/**
+ * Reads up to `length` trailing bytes of the file at `path`.
+ *
+ * @param {string} path
+ * @param {number} length
+ * @returns {Promise<{ offset: number, buffer: Buffer } | null>}
+ */
+export const readTail = async (path, length) => {
+  let handle;
+
+  try {
+    handle = await open(path, 'r');
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return null;
+    }
+
+    throw error;
+  }
+
+  try {
+    const { size } = await handle.stat();
+    const offset = Math.max(0, size - length);
+    const buffer = Buffer.alloc(size - offset);
+
+    await handle.read(buffer, 0, buffer.length, offset);
+
+    return { offset, buffer };
+  } finally {
+    await handle.close();
+  }
+};
+
+/**
+ * Resolves with the last row of the history file at `path` that has a
+ * rate and is dated before `date`, or `null` when there is none. Only
+ * the tail of the file is read unless the row is further up.
+ *
+ * @param {string} path
+ * @param {string} date
+ * @returns {Promise<string | null>}
+ */
+export const readPrevious = async (path, date) => {
+  const tail = await readTail(path, 1024);
+
+  if (!tail) {
+    return null;
+  }
+
+  const find = (rows) => {
+    return (
+      rows.findLast((row) => {
+        const [rowDate, rate] = parseLine(row);
+
+        return rowDate < date && rate !== '';
+      }) ?? null
+    );
+  };
+
+  const rows = tail.buffer.toString('utf-8').split('\n').filter(Boolean);
+
+  if (tail.offset === 0) {
+    return find(rows);
+  }
+
+  // the first row may be cut off
+  return find(rows.slice(1)) ?? find(await readLines(path));
+};
+
+/**
+ * Inserts `line` into the history file at `path` keeping rows sorted
+ * by date. Dates that already have a row are left untouched. Resolves
+ * with whether the file changed.
+ *
+ * @param {string} path
+ * @param {string} line
+ * @param {object=} options
+ * @param {(line: string) => string=} options.dateOf
+ * @returns {Promise<boolean>}
+ */
+export const insertLine = async (path, line, options = {}) => {
+  const lines = await readLines(path);
+  const merged = mergeLine(lines, line, { dateOf: options.dateOf });
+
+  if (merged) {
+    await writeLines(path, merged);
+  }
+
+  return Boolean(merged);
+};
+
+/**
+ * Writes `line` into the history file at `path` so that it holds one
+ * sorted row per date: a new date is appended, a repeated date is
+ * skipped or, if the rate changed, replaced, unless the new line has
+ * no rate. Only the tail of the file is read unless the row belongs
+ * somewhere before the last one. Resolves with whether the file changed.
+ *
+ * @param {string} path
+ * @param {string} line
+ * @param {object=} options
+ * @param {(line: string) => string=} options.dateOf
+ * @param {(line: string) => boolean=} options.isBlank
+ * @returns {Promise<boolean>}
+ */
+export const upsertLine = async (path, line, options = {}) => {
+  const dateOf = options.dateOf || lineDate;
+  const isBlank = options.isBlank || isBlankLine;
+  const tail = await readTail(path, 1024);
+
+  if (!tail || tail.buffer.length === 0) {
+    await writeLines(path, [line]);
+    return true;
+  }
+
+  const { offset, buffer } = tail;
+  const content = buffer.toString('utf-8');
+
+  if (content.endsWith('\n')) {
+    const rows = content.slice(0, -1).split('\n');
+
+    // unless the whole file was read, the first row may be cut off
+    if (offset > 0) {
+      rows.shift();
+    }
+
+    const [last, previous] = rows.slice(-2).reverse();
+
+    if (last !== undefined) {
+      const date = dateOf(line);
+      const lastDate = dateOf(last);
+
+      if (date > lastDate) {
+        await appendFile(path, `${line}\n`, { encoding: 'utf-8' });
+        return true;
+      }
+
+      const unique =
+        previous === undefined
+          ? offset === 0
+          : dateOf(previous) < lastDate;
+
+      if (date === lastDate && unique) {
+        if (last === line || isBlank(line)) {
+          return false;
+        }
+
+        const size = offset + buffer.length;
+
+        await truncate(path, size - Buffer.byteLength(`${last}\n`));
+        await appendFile(path, `${line}\n`, { encoding: 'utf-8' });
+
+        return true;
+      }
+    }
+  }
+
+  const lines = await readLines(path);
+  const merged = mergeLine(lines, line, { replace: true, dateOf, isBlank });
+
+  if (merged) {
+    await writeLines(path, merged);
+  }
+
+  return Boolean(merged);
+};
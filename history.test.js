@@ -0,0 +1,306 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile, rm, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import {
+  insertLine,
+  mergeLine,
+  parseLine,
+  readDates,
+  readLines,
+  readPrevious,
+  readTail,
+  upsertLine,
+} from './history.js';
+import { dateRange } from './utils.js';
+
+describe('parseLine', () => {
+  it('should split a line into date and rate', () => {
+    assert.deepEqual(parseLine('2024-01-01,1.1'), ['2024-01-01', '1.1']);
+  });
+
+  it('should return an empty rate for blank values', () => {
+    assert.deepEqual(parseLine('2024-01-01,'), ['2024-01-01', '']);
+  });
+
+  it('should return an empty rate for lines without a comma', () => {
+    assert.deepEqual(parseLine('2024-01-01'), ['2024-01-01', '']);
+  });
+});
+
+describe('mergeLine', () => {
+  const lines = ['2024-01-01,1', '2024-01-03,3'];
+
+  it('should append lines after the last date', () => {
+    assert.deepEqual(mergeLine(lines, '2024-01-04,4'), [
+      '2024-01-01,1',
+      '2024-01-03,3',
+      '2024-01-04,4',
+    ]);
+  });
+
+  it('should insert lines in chronological order', () => {
+    assert.deepEqual(mergeLine(lines, '2024-01-02,2'), [
+      '2024-01-01,1',
+      '2024-01-02,2',
+      '2024-01-03,3',
+    ]);
+  });
+
+  it('should prepend lines before the first date', () => {
+    assert.deepEqual(mergeLine(lines, '2023-12-31,0'), [
+      '2023-12-31,0',
+      '2024-01-01,1',
+      '2024-01-03,3',
+    ]);
+  });
+
+  it('should return null when the date already exists', () => {
+    assert.equal(mergeLine(lines, '2024-01-03,5'), null);
+  });
+
+  it('should replace a changed row when asked to', () => {
+    const result = mergeLine(lines, '2024-01-01,5', { replace: true });
+
+    assert.deepEqual(result, ['2024-01-01,5', '2024-01-03,3']);
+  });
+
+  it('should return null when replacing with the same row', () => {
+    const result = mergeLine(lines, '2024-01-01,1', { replace: true });
+
+    assert.equal(result, null);
+  });
+
+  it('should collapse duplicate rows when replacing', () => {
+    const duplicates = ['2024-01-01,1', '2024-01-01,1', '2024-01-02,2'];
+
+    assert.deepEqual(
+      mergeLine(duplicates, '2024-01-01,1', { replace: true }),
+      ['2024-01-01,1', '2024-01-02,2']
+    );
+  });
+
+  it('should not mutate the original lines', () => {
+    mergeLine(lines, '2024-01-02,2');
+
+    assert.deepEqual(lines, ['2024-01-01,1', '2024-01-03,3']);
+  });
+});
+
+describe('history files', () => {
+  let tempFile;
+
+  beforeEach(() => {
+    tempFile = join(
+      tmpdir(),
+      `temp-${Date.now()}-${Math.random()}.csv`
+    );
+  });
+
+  afterEach(async () => {
+    try {
+      await rm(tempFile, { force: true });
+    } catch {}
+  });
+
+  describe('readLines', () => {
+    it('should return an empty array for missing files', async () => {
+      assert.deepEqual(await readLines(tempFile), []);
+    });
+
+    it('should skip empty lines', async () => {
+      await writeFile(tempFile, '2024-01-01,1\n\n2024-01-02,2\n');
+
+      assert.deepEqual(await readLines(tempFile), [
+        '2024-01-01,1',
+        '2024-01-02,2',
+      ]);
+    });
+  });
+
+  describe('readDates', () => {
+    it('should return the set of dates in the file', async () => {
+      await writeFile(tempFile, '2024-01-01,1\n2024-01-02,2\n');
+
+      const dates = await readDates(tempFile);
+
+      assert.deepEqual([...dates], ['2024-01-01', '2024-01-02']);
+    });
+  });
+
+  describe('insertLine', () => {
+    it('should create the file if it does not exist', async () => {
+      await insertLine(tempFile, '2024-01-01,1');
+
+      const content = await readFile(tempFile, 'utf-8');
+      assert.equal(content, '2024-01-01,1\n');
+    });
+
+    it('should insert a missing date in order', async () => {
+      await writeFile(tempFile, '2024-01-01,1\n2024-01-03,3\n');
+      await insertLine(tempFile, '2024-01-02,2');
+
+      const content = await readFile(tempFile, 'utf-8');
+      assert.equal(
+        content,
+        '2024-01-01,1\n2024-01-02,2\n2024-01-03,3\n'
+      );
+    });
+
+    it('should keep existing rows untouched', async () => {
+      await writeFile(tempFile, '2024-01-01,1\n');
+
+      assert.equal(await insertLine(tempFile, '2024-01-01,2'), false);
+
+      const content = await readFile(tempFile, 'utf-8');
+      assert.equal(content, '2024-01-01,1\n');
+    });
+
+    it('should resolve with whether the file changed', async () => {
+      assert.equal(await insertLine(tempFile, '2024-01-02,2'), true);
+      assert.equal(await insertLine(tempFile, '2024-01-01,1'), true);
+      assert.equal(await insertLine(tempFile, '2024-01-01,1'), false);
+    });
+  });
+
+  describe('readTail', () => {
+    it('should return null for missing files', async () => {
+      assert.equal(await readTail(tempFile, 10), null);
+    });
+
+    it('should return the trailing bytes and their offset', async () => {
+      await writeFile(tempFile, '2024-01-01,1\n2024-01-02,2\n');
+
+      const { offset, buffer } = await readTail(tempFile, 8);
+
+      assert.equal(offset, 18);
+      assert.equal(buffer.toString(), '01-02,2\n');
+    });
+
+    it('should return the whole file when it is short', async () => {
+      await writeFile(tempFile, '2024-01-01,1\n');
+
+      const { offset, buffer } = await readTail(tempFile, 1024);
+
+      assert.equal(offset, 0);
+      assert.equal(buffer.toString(), '2024-01-01,1\n');
+    });
+  });
+
+  describe('readPrevious', () => {
+    it('should return null for missing files', async () => {
+      assert.equal(await readPrevious(tempFile, '2024-01-01'), null);
+    });
+
+    it('should return the last rate before the date', async () => {
+      await writeFile(
+        tempFile,
+        '2024-01-01,1\n2024-01-02,\n2024-01-03,3\n2024-01-04,4\n'
+      );
+
+      assert.equal(await readPrevious(tempFile, '2024-01-03'), '2024-01-01,1');
+      assert.equal(await readPrevious(tempFile, '2024-01-05'), '2024-01-04,4');
+      assert.equal(await readPrevious(tempFile, '2024-01-01'), null);
+    });
+
+    it('should read the whole file for rows before the tail', async () => {
+      const dates = dateRange('2024-01-01', '2024-12-31');
+
+      await writeFile(
+        tempFile,
+        dates.map((date, i) => `${date},${i + 1}\n`).join('')
+      );
+
+      assert.equal(await readPrevious(tempFile, '2024-01-02'), '2024-01-01,1');
+    });
+  });
+
+  describe('upsertLine', () => {
+    it('should create the file if it does not exist', async () => {
+      await upsertLine(tempFile, '2024-01-01,1');
+
+      const content = await readFile(tempFile, 'utf-8');
+      assert.equal(content, '2024-01-01,1\n');
+    });
+
+    it('should append a new date', async () => {
+      await writeFile(tempFile, '2024-01-01,1\n');
+
+      assert.equal(await upsertLine(tempFile, '2024-01-02,2'), true);
+
+      const content = await readFile(tempFile, 'utf-8');
+      assert.equal(content, '2024-01-01,1\n2024-01-02,2\n');
+    });
+
+    it('should skip a row that is already there', async () => {
+      await writeFile(tempFile, '2024-01-01,1\n2024-01-02,2\n');
+
+      assert.equal(await upsertLine(tempFile, '2024-01-02,2'), false);
+      assert.equal(await upsertLine(tempFile, '2024-01-01,1'), false);
+
+      const content = await readFile(tempFile, 'utf-8');
+      assert.equal(content, '2024-01-01,1\n2024-01-02,2\n');
+    });
+
+    it('should replace the last row if the rate changed', async () => {
+      await writeFile(tempFile, '2024-01-01,1\n2024-01-02,2\n');
+      await upsertLine(tempFile, '2024-01-02,2.5');
+
+      const content = await readFile(tempFile, 'utf-8');
+      assert.equal(content, '2024-01-01,1\n2024-01-02,2.5\n');
+    });
+
+    it('should keep existing rows over rows without a rate', async () => {
+      await writeFile(tempFile, '2024-01-01,1\n2024-01-02,2\n');
+
+      assert.equal(await upsertLine(tempFile, '2024-01-02,'), false);
+      assert.equal(await upsertLine(tempFile, '2024-01-01,'), false);
+      assert.equal(await upsertLine(tempFile, '2024-01-03,'), true);
+
+      const content = await readFile(tempFile, 'utf-8');
+      assert.equal(content, '2024-01-01,1\n2024-01-02,2\n2024-01-03,\n');
+    });
+
+    it('should replace an earlier row in place', async () => {
+      await writeFile(tempFile, '2024-01-01,1\n2024-01-02,2\n');
+      await upsertLine(tempFile, '2024-01-01,1.5');
+
+      const content = await readFile(tempFile, 'utf-8');
+      assert.equal(content, '2024-01-01,1.5\n2024-01-02,2\n');
+    });
+
+    it('should insert an earlier missing date in order', async () => {
+      await writeFile(tempFile, '2024-01-01,1\n2024-01-03,3\n');
+      await upsertLine(tempFile, '2024-01-02,2');
+
+      const content = await readFile(tempFile, 'utf-8');
+      assert.equal(
+        content,
+        '2024-01-01,1\n2024-01-02,2\n2024-01-03,3\n'
+      );
+    });
+
+    it('should collapse duplicated trailing rows', async () => {
+      await writeFile(tempFile, '2024-01-01,1\n2024-01-01,1\n');
+      await upsertLine(tempFile, '2024-01-01,1');
+
+      const content = await readFile(tempFile, 'utf-8');
+      assert.equal(content, '2024-01-01,1\n');
+    });
+
+    it('should replace the last row of long files', async () => {
+      const lines = dateRange('2000-01-01', '2010-12-31').map(
+        (date) => `${date},1`
+      );
+
+      await writeFile(tempFile, `${lines.join('\n')}\n`);
+      await upsertLine(tempFile, '2010-12-31,2');
+
+      const content = await readFile(tempFile, 'utf-8');
+      const expected = [...lines.slice(0, -1), '2010-12-31,2'];
+
+      assert.equal(content, `${expected.join('\n')}\n`);
+    });
+  });
+});
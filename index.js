@@ -1,65 +1,36 @@
-import {
-  appendLine,
-  env,
-  Fetcher,
-  HttpClient,
-  writeLine,
-} from './utils.js';
-
-const CONFIG = (() => {
-  const quotes = `
-    AED AFN ALL AMD AOA ARS AUD AWG AZN BAM BBD BDT BHD BIF BMD BND
-    BOB BRL BSD BTN BWP BYN BZD CAD CDF CHF CLP CNY COP CRC CUP CVE
-    CZK DJF DKK DOP DZD EGP ETB EUR FJD GBP GEL GHS GMD GNF GTQ GYD
-    HKD HNL HTG HUF IDR ILS INR IQD IRR ISK JMD JOD JPY KES KGS KHR
-    KMF KRW KWD KYD KZT LAK LBP LKR LRD LSL LYD MAD MDL MGA MKD MOP
-    MRU MUR MVR MWK MXN MYR MZN NAD NGN NIO NOK NPR NZD OMR PEN PGK
-    PHP PKR PLN PYG QAR RON RSD RUB RWF SAR SBD SCR SDG SEK SGD SOS
-    SRD SZL THB TJS TMT TND TRY TTD TWD TZS UAH UGX USD UYU UZS VES
-    VND XAF XCD XOF XPF YER ZAR ZMW
-  `
-    .trim()
-    .split(/\s+/);
-
-  const baseUrl = env('AG_BASE_URL'); // e.g.: https://example.org/api
-  const apiKey = env('AG_API_KEY');
-
-  const yesterday = new Date(Date.now() - 86400000)
-    .toJSON()
-    .substring(0, 10);
-
-  return {
-    retries: 3,
-    timeout: 2_000,
-    backoff: 3_000,
-    quotes,
-    url: `${baseUrl}/${yesterday}?access_key=${apiKey}`,
-    latestUrl: `${baseUrl}/latest?access_key=${apiKey}`,
-    basePath: `./data/v1`,
-  };
-})();
-
-export const main = async () => {
-  const httpClient = new HttpClient({
-    retries: CONFIG.retries,
-    timeout: CONFIG.timeout,
-    backoff: CONFIG.backoff,
-  });
-
-  const fetcher = new Fetcher({
-    httpClient,
-    quotes: CONFIG.quotes,
-  });
-
-  await fetcher.run(CONFIG.url, {
-    path: (quote) => `${CONFIG.basePath}/EUR/${quote}.csv`,
-    handler: appendLine,
-  });
-
-  await fetcher.run(CONFIG.latestUrl, {
-    path: (quote) => `${CONFIG.basePath}/EUR/${quote}.latest.csv`,
-    handler: writeLine,
-  });
+import { pathToFileURL } from 'url';
+import { cli } from './cli.js';
+import { redact } from './utils.js';
+
+export {
+  analysisToCsv,
+  analyze,
+  analyzeRates,
+  formatDrawdown,
+} from './analyze.js';
+export * from './commands.js';
+export { loadConfig } from './config.js';
+export { convert, formatConversion } from './convert.js';
+export { latest, rateOn, readSeries } from './reader.js';
+
+/**
+ * Runs `cli`, printing the message of any error it throws instead of a
+ * stack trace and exiting with 1.
+ *
+ * @param {string[]=} argv
+ * @returns {Promise<void>}
+ */
+export const main = async (argv = process.argv.slice(2)) => {
+  try {
+    process.exitCode = await cli(argv);
+  } catch (error) {
+    console.error(redact(String(error?.message ?? error)));
+    process.exitCode = 1;
+  }
 };
 
-main();
+const [, script] = process.argv;
+
+if (script && import.meta.url === pathToFileURL(script).href) {
+  await main();
+}
@@ -0,0 +1,38 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { main } from './index.js';
+
+describe('main', () => {
+  let originalConsoleError;
+  let originalExitCode;
+
+  beforeEach(() => {
+    originalConsoleError = console.error;
+    originalExitCode = process.exitCode;
+    console.error = mock.fn();
+  });
+
+  afterEach(() => {
+    console.error = originalConsoleError;
+    process.exitCode = originalExitCode;
+  });
+
+  it('should print the message of errors and exit with 1', async () => {
+    await main(['unknown']);
+
+    assert.equal(process.exitCode, 1);
+    assert.deepEqual(console.error.mock.calls[0].arguments, [
+      'Unknown command "unknown", see --help',
+    ]);
+  });
+
+  it('should print errors of unknown options', async () => {
+    await main(['verify', '--unknown']);
+
+    assert.equal(process.exitCode, 1);
+    assert.match(
+      console.error.mock.calls[0].arguments[0],
+      /Unknown option '--unknown'/
+    );
+  });
+});
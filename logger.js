@@ -0,0 +1,86 @@
+export const LOG_LEVELS = ['debug', 'info', 'warn', 'error'];
+
+export const LOG_FORMATS = ['text', 'json'];
+
+/**
+ * @typedef {(message: string, fields?: Record<string, any>) => void} Log
+ */
+
+/**
+ * @typedef {object} Logger
+ * @property {Log} debug
+ * @property {Log} info
+ * @property {Log} warn
+ * @property {Log} error
+ */
+
+/**
+ * Creates a logger printing through the console method of each level.
+ * Text lines only hold the message, JSON lines also hold the time, the
+ * level and the `fields` given with the message.
+ *
+ * @param {object=} options
+ * @param {'debug' | 'info' | 'warn' | 'error'=} options.level lowest
+ *   level printed, "info" by default
+ * @param {'text' | 'json'=} options.format
+ * @returns {Logger}
+ */
+export const createLogger = (options = {}) => {
+  const level = options.level || 'info';
+  const format = options.format || 'text';
+
+  if (!LOG_LEVELS.includes(level)) {
+    throw new Error(`Unknown log level "${level}"`);
+  }
+
+  if (!LOG_FORMATS.includes(format)) {
+    throw new Error(`Unknown log format "${format}"`);
+  }
+
+  const min = LOG_LEVELS.indexOf(level);
+
+  /**
+   * @param {'debug' | 'info' | 'warn' | 'error'} name
+   * @returns {Log}
+   */
+  const log = (name) => {
+    if (LOG_LEVELS.indexOf(name) < min) {
+      return () => {};
+    }
+
+    return (message, fields = {}) => {
+      console[name](
+        format === 'json'
+          ? JSON.stringify({
+              time: new Date().toISOString(),
+              level: name,
+              message,
+              ...serialize(fields),
+            })
+          : message
+      );
+    };
+  };
+
+  return {
+    debug: log('debug'),
+    info: log('info'),
+    warn: log('warn'),
+    error: log('error'),
+  };
+};
+
+/**
+ * Replaces errors in `fields`, which stringify to `{}`, by their
+ * message.
+ *
+ * @param {Record<string, any>} fields
+ * @returns {Record<string, any>}
+ */
+const serialize = (fields) => {
+  return Object.fromEntries(
+    Object.entries(fields).map(([key, value]) => {
+      return [key, value instanceof Error ? value.message : value];
+    })
+  );
+};
@@ -0,0 +1,65 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { createLogger } from './logger.js';
+
+describe('createLogger', () => {
+  let original;
+
+  beforeEach(() => {
+    original = { ...console };
+
+    for (const level of ['debug', 'info', 'warn', 'error']) {
+      console[level] = mock.fn();
+    }
+  });
+
+  afterEach(() => {
+    Object.assign(console, original);
+  });
+
+  it('should print messages of the level and above', () => {
+    const logger = createLogger({ level: 'warn' });
+
+    logger.debug('debug');
+    logger.info('info');
+    logger.warn('warn', { attempt: 1 });
+    logger.error('error');
+
+    assert.equal(console.debug.mock.calls.length, 0);
+    assert.equal(console.info.mock.calls.length, 0);
+    assert.deepEqual(console.warn.mock.calls[0].arguments, ['warn']);
+    assert.deepEqual(console.error.mock.calls[0].arguments, ['error']);
+  });
+
+  it('should print JSON lines with the fields', () => {
+    const logger = createLogger({ format: 'json' });
+
+    logger.info('Written', { quote: 'USD', error: new Error('oops') });
+
+    const line = JSON.parse(console.info.mock.calls[0].arguments[0]);
+
+    assert.ok(!Number.isNaN(Date.parse(line.time)));
+    assert.deepEqual(
+      { ...line, time: undefined },
+      {
+        time: undefined,
+        level: 'info',
+        message: 'Written',
+        quote: 'USD',
+        error: 'oops',
+      }
+    );
+  });
+
+  it('should reject unknown levels and formats', () => {
+    assert.throws(
+      () => createLogger({ level: 'trace' }),
+      new Error('Unknown log level "trace"')
+    );
+
+    assert.throws(
+      () => createLogger({ format: 'xml' }),
+      new Error('Unknown log format "xml"')
+    );
+  });
+});
@@ -0,0 +1,133 @@
+import { readdir, writeFile } from 'fs/promises';
+import { join } from 'path';
+import { lineDate, parseLine, readLines } from './history.js';
+
+/**
+ * @typedef {object} SeriesInfo
+ * @property {string} path history file, relative to the output dir
+ * @property {string | null} first
+ * @property {string | null} last
+ * @property {number} rows
+ * @property {number | null} rate rate on the last date
+ * @property {{ path: string, date: string, rate: number | null } | null} latest
+ */
+
+/**
+ * @typedef {object} Manifest
+ * @property {number} version
+ * @property {Record<string, Record<string, SeriesInfo>>} bases
+ */
+
+/**
+ * @param {string} value
+ * @returns {number | null}
+ */
+const toRate = (value) => {
+  return value === '' ? null : Number(value);
+};
+
+/**
+ * @param {string} outputDir
+ * @param {string} base
+ * @param {string} quote
+ * @returns {Promise<SeriesInfo>}
+ */
+export const describeSeries = async (outputDir, base, quote) => {
+  const path = `${base}/${quote}.csv`;
+  const latestPath = `${base}/${quote}.latest.csv`;
+
+  const lines = await readLines(join(outputDir, path));
+  const [latestLine] = await readLines(join(outputDir, latestPath));
+
+  const [last, rate] = lines.length > 0 ? parseLine(lines.at(-1)) : [];
+  const [latestDate, latestRate] = latestLine ? parseLine(latestLine) : [];
+
+  return {
+    path,
+    first: lines.length > 0 ? lineDate(lines[0]) : null,
+    last: last ?? null,
+    rows: lines.length,
+    rate: rate === undefined ? null : toRate(rate),
+    latest: latestLine
+      ? { path: latestPath, date: latestDate, rate: toRate(latestRate) }
+      : null,
+  };
+};
+
+/**
+ * Describes every history file of `base`.
+ *
+ * @param {string} outputDir
+ * @param {string} base
+ * @returns {Promise<Record<string, SeriesInfo>>}
+ */
+export const buildIndex = async (outputDir, base) => {
+  const quotes = (await readdir(join(outputDir, base)))
+    .filter((name) => /^[A-Z]{3}\.csv$/.test(name))
+    .map((name) => name.substring(0, 3))
+    .sort();
+
+  const index = {};
+
+  for (const quote of quotes) {
+    index[quote] = await describeSeries(outputDir, base, quote);
+  }
+
+  return index;
+};
+
+/**
+ * Describes every base directory found in `outputDir`.
+ *
+ * @param {string} outputDir
+ * @returns {Promise<Manifest>}
+ */
+export const buildManifest = async (outputDir) => {
+  const entries = await readdir(outputDir, { withFileTypes: true });
+  const bases = entries
+    .filter((entry) => entry.isDirectory() && /^[A-Z]{3}$/.test(entry.name))
+    .map((entry) => entry.name)
+    .sort();
+
+  const manifest = { version: 1, bases: {} };
+
+  for (const base of bases) {
+    manifest.bases[base] = await buildIndex(outputDir, base);
+  }
+
+  return manifest;
+};
+
+/**
+ * Writes `manifest.json` into `outputDir` and, with `perBase`, an
+ * `index.json` into each base directory.
+ *
+ * @param {string} outputDir
+ * @param {object=} options
+ * @param {boolean=} options.perBase
+ * @returns {Promise<Manifest>}
+ */
+export const writeManifest = async (outputDir, options = {}) => {
+  const manifest = await buildManifest(outputDir);
+
+  /**
+   * @param {string} path
+   * @param {object} content
+   */
+  const write = (path, content) => {
+    return writeFile(path, `${JSON.stringify(content, null, 2)}\n`, {
+      encoding: 'utf-8',
+      flag: 'w',
+    });
+  };
+
+  await write(join(outputDir, 'manifest.json'), manifest);
+
+  if (options.perBase) {
+    for (const [base, index] of Object.entries(manifest.bases)) {
+      await write(join(outputDir, base, 'index.json'), index);
+    }
+  }
+
+  return manifest;
+};
@@ -0,0 +1,96 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdir, mkdtemp, readFile, rm, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { buildManifest, describeSeries, writeManifest } from './manifest.js';
+
+describe('manifest', () => {
+  let tempDir;
+
+  beforeEach(async () => {
+    tempDir = await mkdtemp(join(tmpdir(), 'manifest-'));
+
+    await mkdir(join(tempDir, 'EUR', 'ndjson'), { recursive: true });
+    await mkdir(join(tempDir, 'USD'));
+    await mkdir(join(tempDir, 'misc'));
+
+    await writeFile(
+      join(tempDir, 'EUR', 'USD.csv'),
+      '2024-01-01,1.1\n2024-01-02,1.2\n'
+    );
+    await writeFile(join(tempDir, 'EUR', 'USD.latest.csv'), '2024-01-03,1.3\n');
+    await writeFile(join(tempDir, 'EUR', 'JPY.csv'), '2024-01-02,\n');
+    await writeFile(join(tempDir, 'USD', 'EUR.csv'), '2024-01-02,0.8\n');
+  });
+
+  afterEach(async () => {
+    await rm(tempDir, { recursive: true, force: true });
+  });
+
+  describe('describeSeries', () => {
+    it('should describe the history and latest files', async () => {
+      assert.deepEqual(await describeSeries(tempDir, 'EUR', 'USD'), {
+        path: 'EUR/USD.csv',
+        first: '2024-01-01',
+        last: '2024-01-02',
+        rows: 2,
+        rate: 1.2,
+        latest: { path: 'EUR/USD.latest.csv', date: '2024-01-03', rate: 1.3 },
+      });
+    });
+
+    it('should handle blank rates and missing files', async () => {
+      assert.deepEqual(await describeSeries(tempDir, 'EUR', 'JPY'), {
+        path: 'EUR/JPY.csv',
+        first: '2024-01-02',
+        last: '2024-01-02',
+        rows: 1,
+        rate: null,
+        latest: null,
+      });
+
+      assert.deepEqual(await describeSeries(tempDir, 'EUR', 'GBP'), {
+        path: 'EUR/GBP.csv',
+        first: null,
+        last: null,
+        rows: 0,
+        rate: null,
+        latest: null,
+      });
+    });
+  });
+
+  describe('buildManifest', () => {
+    it('should list every base and quote in order', async () => {
+      const manifest = await buildManifest(tempDir);
+
+      assert.equal(manifest.version, 1);
+      assert.deepEqual(Object.keys(manifest.bases), ['EUR', 'USD']);
+      assert.deepEqual(Object.keys(manifest.bases.EUR), ['JPY', 'USD']);
+      assert.deepEqual(Object.keys(manifest.bases.USD), ['EUR']);
+    });
+  });
+
+  describe('writeManifest', () => {
+    it('should write manifest.json only by default', async () => {
+      const manifest = await writeManifest(tempDir);
+      const content = await readFile(join(tempDir, 'manifest.json'), 'utf-8');
+
+      assert.deepEqual(JSON.parse(content), manifest);
+      await assert.rejects(readFile(join(tempDir, 'EUR', 'index.json')), {
+        code: 'ENOENT',
+      });
+    });
+
+    it('should write an index per base when asked', async () => {
+      const manifest = await writeManifest(tempDir, { perBase: true });
+      const content = await readFile(
+        join(tempDir, 'USD', 'index.json'),
+        'utf-8'
+      );
+
+      assert.deepEqual(JSON.parse(content), manifest.bases.USD);
+    });
+  });
+});
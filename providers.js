@@ -0,0 +1,218 @@
+import { ApiError } from './errors.js';
+
+/**
+ * @typedef {object} Rates
+ * @property {string} date
+ * @property {Record<string, number>} rates
+ * @property {Record<string, unknown>=} invalid rates that are not
+ *   positive numbers, left out of `rates`
+ */
+
+/**
+ * @typedef {object} Provider
+ * @property {'json' | 'text'} format response body type
+ * @property {(date: string, base: string) => string} url builds the URL
+ *   for a YYYY-MM-DD date or "latest"
+ * @property {(body: any, date: string) => Rates} parse
+ * @property {(body: any) => ApiError | null} error detects API-level
+ *   errors returned with a successful HTTP status
+ * @property {(() => Record<string, string>)=} headers request headers,
+ *   e.g. to authenticate
+ * @property {((date: string) => boolean)=} stable whether the response
+ *   for `date` never changes, so that the `cache` mode may reuse it
+ * @property {((date: string) => boolean)=} shared whether the response
+ *   for `date` also holds other dates, so that it is only downloaded
+ *   once per run
+ */
+
+export const ECB_URL = 'https://www.ecb.europa.eu/stats/eurofxref';
+
+/**
+ * Error codes worth retrying, anything else (bad key, plan limits,
+ * invalid parameters) fails the same way on every attempt.
+ */
+const RETRYABLE_CODES = [429, 'rate_limit_reached', 'too_many_requests'];
+
+/**
+ * Provider for APIs serving `{ date, rates }` JSON at
+ * `<baseUrl>/<date>?access_key=<apiKey>`, or at `<baseUrl>/<date>` with
+ * the key sent in the `apiKeyHeader` header when the API supports it.
+ *
+ * @param {object} options
+ * @param {string} options.baseUrl
+ * @param {string} options.apiKey
+ * @param {string=} options.apiKeyHeader
+ * @returns {Provider}
+ */
+export const createDefaultProvider = (options) => {
+  const { baseUrl, apiKey, apiKeyHeader } = options;
+
+  return {
+    format: 'json',
+
+    url: (date, base) => {
+      const params = new URLSearchParams();
+
+      if (!apiKeyHeader) {
+        params.set('access_key', apiKey);
+      }
+
+      if (base !== 'EUR') {
+        params.set('base', base);
+      }
+
+      const query = params.toString();
+
+      return `${baseUrl}/${date}${query ? `?${query}` : ''}`;
+    },
+
+    headers: () => {
+      return apiKeyHeader ? { [apiKeyHeader]: apiKey } : {};
+    },
+
+    stable: (date) => {
+      return date !== 'latest';
+    },
+
+    parse: (body) => {
+      return { date: body.date, rates: body.rates };
+    },
+
+    error: (body) => {
+      if (body?.success !== false) {
+        return null;
+      }
+
+      const { code, type, info } = body.error || {};
+
+      return new ApiError(`API error ${code}: ${info || type || 'unknown'}`, {
+        code: code ?? type,
+        retryable:
+          RETRYABLE_CODES.includes(code) || RETRYABLE_CODES.includes(type),
+      });
+    },
+  };
+};
+
+/**
+ * @param {string} xml
+ * @returns {Rates[]}
+ */
+export const parseEcbXml = (xml) => {
+  const days = [];
+  const timePattern =
+    /<Cube\s+time=["'](\d{4}-\d{2}-\d{2})["']\s*>([\s\S]*?)<\/Cube>/g;
+  const ratePattern =
+    /<Cube\s+currency=["']([A-Z]{3})["']\s+rate=["']([\d.]+)["']\s*\/>/g;
+
+  for (const [, date, content] of xml.matchAll(timePattern)) {
+    const rates = { EUR: 1 };
+
+    for (const [, quote, rate] of content.matchAll(ratePattern)) {
+      rates[quote] = Number(rate);
+    }
+
+    days.push({ date, rates });
+  }
+
+  return days;
+};
+
+/**
+ * Provider for the European Central Bank reference rates XML feeds.
+ * Past dates come from the 90 days or the full history feed, and dates
+ * without a fixing (weekends, TARGET holidays) resolve to the closest
+ * earlier one. Both feeds hold many dates and are shared between them.
+ *
+ * @param {object=} options
+ * @param {string=} options.baseUrl
+ * @returns {Provider}
+ */
+export const createEcbProvider = (options = {}) => {
+  const baseUrl = options.baseUrl || ECB_URL;
+  // the last feed parsed, which backfills parse once per date
+  let feed = { body: null, days: [] };
+
+  return {
+    format: 'text',
+
+    url: (date, base) => {
+      if (base !== 'EUR') {
+        throw new Error(
+          `ECB only publishes EUR rates, derive "${base}" instead`
+        );
+      }
+
+      if (date === 'latest') {
+        return `${baseUrl}/eurofxref-daily.xml`;
+      }
+
+      const age = Date.now() - Date.parse(date);
+
+      return age < 90 * 86400000
+        ? `${baseUrl}/eurofxref-hist-90d.xml`
+        : `${baseUrl}/eurofxref-hist.xml`;
+    },
+
+    // every date is read from feeds that change daily
+    stable: () => {
+      return false;
+    },
+
+    shared: (date) => {
+      return date !== 'latest';
+    },
+
+    parse: (body, date) => {
+      if (body !== feed.body) {
+        feed = { body, days: parseEcbXml(body) };
+      }
+
+      const day = feed.days.reduce((closest, day) => {
+        const eligible = date === 'latest' || day.date <= date;
+
+        return eligible && (!closest || day.date > closest.date)
+          ? day
+          : closest;
+      }, null);
+
+      if (!day) {
+        throw new ApiError(`No ECB rates for "${date}"`);
+      }
+
+      return day;
+    },
+
+    error: (body) => {
+      if (/<Cube\s+time=/.test(body)) {
+        return null;
+      }
+
+      // most likely a maintenance page, which is worth another try
+      return new ApiError('Unexpected ECB response without rates', {
+        retryable: true,
+      });
+    },
+  };
+};
+
+/**
+ * @type {Record<string, (options: object) => Provider>}
+ */
+export const providers = {
+  default: createDefaultProvider,
+  ecb: createEcbProvider,
+};
+
+/**
+ * @param {string} name
+ * @param {object} options
+ * @returns {Provider}
+ */
+export const createProvider = (name, options) => {
+  if (!Object.hasOwn(providers, name)) {
+    throw new Error(`Unknown provider "${name}"`);
+  }
+
+  return providers[name](options);
+};
@@ -0,0 +1,227 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { ApiError } from './errors.js';
+import {
+  createDefaultProvider,
+  createEcbProvider,
+  createProvider,
+  ECB_URL,
+  parseEcbXml,
+} from './providers.js';
+
+const ECB_XML = `<?xml version="1.0" encoding="UTF-8"?>
+<gesmes:Envelope>
+  <Cube>
+    <Cube time='2024-01-05'>
+      <Cube currency='USD' rate='1.0921'/>
+      <Cube currency='JPY' rate='158.48'/>
+    </Cube>
+    <Cube time='2024-01-04'>
+      <Cube currency='USD' rate='1.0953'/>
+      <Cube currency='JPY' rate='157.58'/>
+    </Cube>
+  </Cube>
+</gesmes:Envelope>`;
+
+describe('createDefaultProvider', () => {
+  const provider = createDefaultProvider({
+    baseUrl: 'https://example.org/api',
+    apiKey: 'secret',
+  });
+
+  it('should build URLs with the access key', () => {
+    assert.equal(
+      provider.url('2024-01-01', 'EUR'),
+      'https://example.org/api/2024-01-01?access_key=secret'
+    );
+
+    assert.equal(
+      provider.url('latest', 'EUR'),
+      'https://example.org/api/latest?access_key=secret'
+    );
+  });
+
+  it('should only consider dated responses stable', () => {
+    assert.equal(provider.stable('2024-01-01'), true);
+    assert.equal(provider.stable('latest'), false);
+  });
+
+  it('should pass non-EUR bases as a parameter', () => {
+    assert.equal(
+      provider.url('latest', 'USD'),
+      'https://example.org/api/latest?access_key=secret&base=USD'
+    );
+  });
+
+  it('should send the key in a header when asked to', () => {
+    const headerProvider = createDefaultProvider({
+      baseUrl: 'https://example.org/api',
+      apiKey: 'secret',
+      apiKeyHeader: 'apikey',
+    });
+
+    assert.equal(
+      headerProvider.url('latest', 'EUR'),
+      'https://example.org/api/latest'
+    );
+    assert.equal(
+      headerProvider.url('latest', 'USD'),
+      'https://example.org/api/latest?base=USD'
+    );
+    assert.deepEqual(headerProvider.headers(), { apikey: 'secret' });
+    assert.deepEqual(provider.headers(), {});
+  });
+
+  it('should parse date and rates from the payload', () => {
+    const body = {
+      success: true,
+      date: '2024-01-01',
+      base: 'EUR',
+      rates: { USD: 1.1 },
+    };
+
+    assert.deepEqual(provider.parse(body, '2024-01-01'), {
+      date: '2024-01-01',
+      rates: { USD: 1.1 },
+    });
+  });
+
+  it('should detect API-level errors', () => {
+    const body = {
+      success: false,
+      error: { code: 101, info: 'Invalid access key' },
+    };
+
+    const error = provider.error(body);
+
+    assert(error instanceof ApiError);
+    assert.equal(error.message, 'API error 101: Invalid access key');
+    assert.equal(error.code, 101);
+    assert.equal(error.retryable, false);
+  });
+
+  it('should mark rate limit errors as retryable', () => {
+    const body = {
+      success: false,
+      error: { code: 429, type: 'too_many_requests' },
+    };
+
+    const error = provider.error(body);
+
+    assert.equal(error.message, 'API error 429: too_many_requests');
+    assert.equal(error.retryable, true);
+  });
+
+  it('should not report errors for successful payloads', () => {
+    assert.equal(provider.error({ date: '2024-01-01', rates: {} }), null);
+  });
+});
+
+describe('parseEcbXml', () => {
+  it('should parse every day of the feed', () => {
+    assert.deepEqual(parseEcbXml(ECB_XML), [
+      {
+        date: '2024-01-05',
+        rates: { EUR: 1, USD: 1.0921, JPY: 158.48 },
+      },
+      {
+        date: '2024-01-04',
+        rates: { EUR: 1, USD: 1.0953, JPY: 157.58 },
+      },
+    ]);
+  });
+
+  it('should return an empty array for unrelated content', () => {
+    assert.deepEqual(parseEcbXml('<html></html>'), []);
+  });
+});
+
+describe('createEcbProvider', () => {
+  const provider = createEcbProvider();
+
+  it('should read text responses', () => {
+    assert.equal(provider.format, 'text');
+  });
+
+  it('should never consider the rolling feeds stable', () => {
+    assert.equal(provider.stable('2024-01-01'), false);
+    assert.equal(provider.stable('latest'), false);
+  });
+
+  it('should share the history feeds between dates', () => {
+    assert.equal(provider.shared('2024-01-01'), true);
+    assert.equal(provider.shared('latest'), false);
+  });
+
+  it('should use the daily feed for latest rates', () => {
+    assert.equal(
+      provider.url('latest', 'EUR'),
+      `${ECB_URL}/eurofxref-daily.xml`
+    );
+  });
+
+  it('should pick the history feed by the age of the date', () => {
+    const recent = new Date(Date.now() - 7 * 86400000)
+      .toJSON()
+      .substring(0, 10);
+
+    assert.equal(
+      provider.url(recent, 'EUR'),
+      `${ECB_URL}/eurofxref-hist-90d.xml`
+    );
+
+    assert.equal(
+      provider.url('2001-01-01', 'EUR'),
+      `${ECB_URL}/eurofxref-hist.xml`
+    );
+  });
+
+  it('should refuse non-EUR bases', () => {
+    assert.throws(
+      () => provider.url('latest', 'USD'),
+      new Error('ECB only publishes EUR rates, derive "USD" instead')
+    );
+  });
+
+  it('should parse the requested date', () => {
+    assert.equal(provider.parse(ECB_XML, '2024-01-04').date, '2024-01-04');
+  });
+
+  it('should parse the most recent date for latest rates', () => {
+    assert.equal(provider.parse(ECB_XML, 'latest').date, '2024-01-05');
+  });
+
+  it('should fall back to the closest earlier date', () => {
+    assert.equal(provider.parse(ECB_XML, '2024-01-07').date, '2024-01-05');
+  });
+
+  it('should throw when no earlier date is available', () => {
+    assert.throws(
+      () => provider.parse(ECB_XML, '2024-01-01'),
+      new ApiError('No ECB rates for "2024-01-01"')
+    );
+  });
+
+  it('should detect responses without rates', () => {
+    assert.equal(provider.error(ECB_XML), null);
+
+    const error = provider.error('<html>Maintenance</html>');
+
+    assert.equal(error.message, 'Unexpected ECB response without rates');
+    assert.equal(error.retryable, true);
+  });
+});
+
+describe('createProvider', () => {
+  it('should create providers by name', () => {
+    assert.equal(createProvider('ecb', {}).format, 'text');
+    assert.equal(createProvider('default', {}).format, 'json');
+  });
+
+  it('should throw for unknown providers', () => {
+    assert.throws(
+      () => createProvider('unknown', {}),
+      new Error('Unknown provider "unknown"')
+    );
+  });
+});
@@ -0,0 +1,273 @@
+import { open } from 'fs/promises';
+import { join } from 'path';
+import { NotFoundError } from './errors.js';
+import { parseLine } from './history.js';
+import { dateRange, isDate } from './utils.js';
+
+/**
+ * @typedef {object} Rate
+ * @property {string} date
+ * @property {number | null} rate
+ */
+
+/**
+ * @typedef {import('fs/promises').FileHandle} FileHandle
+ */
+
+const DEFAULT_DIR = './data/v1';
+
+const CHUNK = 1024;
+
+/**
+ * @param {string} line
+ * @returns {Rate}
+ */
+const toRate = (line) => {
+  const [date, rate] = parseLine(line);
+
+  return { date, rate: rate === '' ? null : Number(rate) };
+};
+
+/**
+ * @param {string} date
+ */
+const assertDate = (date) => {
+  if (!isDate(date)) {
+    throw new Error(`"${date}" is not a valid YYYY-MM-DD date`);
+  }
+};
+
+/**
+ * Opens the file at `path` for `task`, resolving with `null` when it
+ * does not exist.
+ *
+ * @template T
+ * @param {string} path
+ * @param {(handle: FileHandle, size: number) => Promise<T>} task
+ * @returns {Promise<T | null>}
+ */
+const withFile = async (path, task) => {
+  let handle;
+
+  try {
+    handle = await open(path, 'r');
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return null;
+    }
+
+    throw error;
+  }
+
+  try {
+    return await task(handle, (await handle.stat()).size);
+  } finally {
+    await handle.close();
+  }
+};
+
+/**
+ * @param {FileHandle} handle
+ * @param {number} start
+ * @param {number} end
+ * @returns {Promise<string>}
+ */
+const readRange = async (handle, start, end) => {
+  const buffer = Buffer.alloc(end - start);
+
+  await handle.read(buffer, 0, buffer.length, start);
+
+  return buffer.toString('utf-8');
+};
+
+/**
+ * Finds the first line starting at or after `position`.
+ *
+ * @param {FileHandle} handle
+ * @param {number} size
+ * @param {number} position
+ * @returns {Promise<{ start: number, line: string | null }>}
+ */
+const lineAfter = async (handle, size, position) => {
+  const from = Math.max(0, position - 1);
+  let text = '';
+  let end = from;
+
+  // unless at the start of the file, skip the end of the previous line
+  const skipped = () => (position > 0 ? text.indexOf('\n') : -1);
+
+  while (end < size && text.indexOf('\n', skipped() + 1) === -1) {
+    const next = Math.min(size, end + 64);
+
+    text += await readRange(handle, end, next);
+    end = next;
+  }
+
+  const skip = skipped();
+
+  if (position > 0 && skip === -1) {
+    return { start: size, line: null };
+  }
+
+  const [line] = text.substring(skip + 1).split('\n');
+
+  return { start: from + skip + 1, line: line || null };
+};
+
+/**
+ * Binary searches the sorted history for the offset of the first line
+ * whose date satisfies `test`, or the file size when none does.
+ *
+ * @param {FileHandle} handle
+ * @param {number} size
+ * @param {(date: string) => boolean} test true from some date on
+ * @returns {Promise<number>}
+ */
+const seek = async (handle, size, test) => {
+  let low = 0;
+  let high = size;
+
+  while (low < high) {
+    const middle = Math.floor((low + high) / 2);
+    const { line } = await lineAfter(handle, size, middle);
+
+    if (line === null || test(parseLine(line)[0])) {
+      high = middle;
+    } else {
+      low = middle + 1;
+    }
+  }
+
+  return (await lineAfter(handle, size, low)).start;
+};
+
+/**
+ * Reads backwards from `end` for the last line with a rate.
+ *
+ * @param {FileHandle} handle
+ * @param {number} end
+ * @returns {Promise<Rate | null>}
+ */
+const lastRate = async (handle, end) => {
+  for (let length = CHUNK; ; length *= 2) {
+    const start = Math.max(0, end - length);
+    const lines = (await readRange(handle, start, end)).split('\n');
+
+    // the first line may be cut off
+    const complete = start === 0 ? lines : lines.slice(1);
+    const line = complete.findLast((line) => parseLine(line)[1] !== '');
+
+    if (line) {
+      return toRate(line);
+    }
+
+    if (start === 0) {
+      return null;
+    }
+  }
+};
+
+/**
+ * @param {(Rate | null)[]} rates
+ * @returns {Rate | null} the rate with the latest date
+ */
+const newest = (rates) => {
+  return rates.reduce((last, rate) => {
+    return rate && (!last || rate.date > last.date) ? rate : last;
+  }, null);
+};
+
+/**
+ * Reads the `base`/`quote` history between `from` and `to`, both
+ * included, seeking to them rather than reading the whole file.
+ *
+ * @param {string} base
+ * @param {string} quote
+ * @param {object=} options
+ * @param {string=} options.from
+ * @param {string=} options.to
+ * @param {string=} options.dir data directory, "./data/v1" by default
+ * @returns {Promise<Rate[]>} rows in date order, rates are `null` where
+ *   the history has none
+ */
+export const readSeries = async (base, quote, options = {}) => {
+  const { from, to } = options;
+  const path = join(options.dir ?? DEFAULT_DIR, base, `${quote}.csv`);
+
+  [from, to].filter(Boolean).forEach(assertDate);
+
+  const rows = await withFile(path, async (handle, size) => {
+    const start = from ? await seek(handle, size, (date) => date >= from) : 0;
+    const end = to ? await seek(handle, size, (date) => date > to) : size;
+
+    if (start >= end) {
+      return [];
+    }
+
+    return (await readRange(handle, start, end))
+      .split('\n')
+      .filter(Boolean)
+      .map(toRate);
+  });
+
+  if (!rows) {
+    throw new NotFoundError(`No "${base}/${quote}" history in "${path}"`);
+  }
+
+  return rows;
+};
+
+/**
+ * Resolves with the latest `base`/`quote` rate: the one of
+ * `<QUOTE>.latest.csv`, or the last rate of the history.
+ *
+ * @param {string} base
+ * @param {string} quote
+ * @param {object=} options
+ * @param {string=} options.dir data directory, "./data/v1" by default
+ * @returns {Promise<Rate | null>}
+ */
+export const latest = async (base, quote, options = {}) => {
+  const dir = join(options.dir ?? DEFAULT_DIR, base);
+
+  return newest([
+    await withFile(`${dir}/${quote}.latest.csv`, lastRate),
+    await withFile(`${dir}/${quote}.csv`, lastRate),
+  ]);
+};
+
+/**
+ * Resolves with the `base`/`quote` rate on `date`, or on the closest
+ * earlier date with a rate when there is none that day (weekends,
+ * holidays), looking at most `maxDays` back. The returned date is the
+ * one the rate was actually observed on.
+ *
+ * @param {string} base
+ * @param {string} quote
+ * @param {string} date
+ * @param {object=} options
+ * @param {number=} options.maxDays 7 by default
+ * @param {string=} options.dir data directory, "./data/v1" by default
+ * @returns {Promise<Rate | null>}
+ */
+export const rateOn = async (base, quote, date, options = {}) => {
+  assertDate(date);
+
+  const maxDays = options.maxDays ?? 7;
+  const dir = join(options.dir ?? DEFAULT_DIR, base);
+
+  const rates = [
+    await withFile(`${dir}/${quote}.csv`, async (handle, size) => {
+      return lastRate(handle, await seek(handle, size, (day) => day > date));
+    }),
+    await withFile(`${dir}/${quote}.latest.csv`, lastRate),
+  ];
+
+  const rate = newest(rates.filter((rate) => rate && rate.date <= date));
+
+  if (!rate || dateRange(rate.date, date).length - 1 > maxDays) {
+    return null;
+  }
+
+  return rate;
+};
@@ -0,0 +1,114 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdir, mkdtemp, rm, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { latest, rateOn, readSeries } from './reader.js';
+import { dateRange } from './utils.js';
+
+describe('reader', () => {
+  const dates = dateRange('2000-01-01', '2023-12-31').filter((date) => {
+    const day = new Date(date).getUTCDay();
+
+    return day !== 0 && day !== 6;
+  });
+
+  let dir;
+
+  before(async () => {
+    dir = await mkdtemp(join(tmpdir(), 'reader-'));
+    await mkdir(join(dir, 'EUR'));
+    await writeFile(
+      join(dir, 'EUR', 'USD.csv'),
+      dates.map((date, i) => `${date},${i + 1}\n`).join('') + '2024-01-01,\n'
+    );
+    await writeFile(join(dir, 'EUR', 'USD.latest.csv'), '2024-01-02,9\n');
+  });
+
+  after(async () => {
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  describe('readSeries', () => {
+    it('should read the rows between two dates', async () => {
+      const rows = await readSeries('EUR', 'USD', {
+        from: '2010-01-02',
+        to: '2010-01-06',
+        dir,
+      });
+
+      assert.deepEqual(rows, [
+        { date: '2010-01-04', rate: dates.indexOf('2010-01-04') + 1 },
+        { date: '2010-01-05', rate: dates.indexOf('2010-01-05') + 1 },
+        { date: '2010-01-06', rate: dates.indexOf('2010-01-06') + 1 },
+      ]);
+    });
+
+    it('should read the whole history without dates', async () => {
+      const rows = await readSeries('EUR', 'USD', { dir });
+
+      assert.equal(rows.length, dates.length + 1);
+      assert.deepEqual(rows.at(-1), { date: '2024-01-01', rate: null });
+    });
+
+    it('should return no rows outside the history', async () => {
+      const rows = await readSeries('EUR', 'USD', {
+        from: '1990-01-01',
+        to: '1999-12-31',
+        dir,
+      });
+
+      assert.deepEqual(rows, []);
+    });
+
+    it('should throw for missing histories', async () => {
+      await assert.rejects(readSeries('EUR', 'XXX', { dir }), {
+        message: /^No "EUR\/XXX" history/,
+      });
+    });
+  });
+
+  describe('rateOn', () => {
+    it('should return the rate of the date', async () => {
+      assert.deepEqual(await rateOn('EUR', 'USD', '2000-01-03', { dir }), {
+        date: '2000-01-03',
+        rate: 1,
+      });
+    });
+
+    it('should fall back to the previous business day', async () => {
+      assert.deepEqual(await rateOn('EUR', 'USD', '2023-12-31', { dir }), {
+        date: '2023-12-29',
+        rate: dates.length,
+      });
+    });
+
+    it('should use the latest rates after the history', async () => {
+      assert.deepEqual(await rateOn('EUR', 'USD', '2024-01-03', { dir }), {
+        date: '2024-01-02',
+        rate: 9,
+      });
+    });
+
+    it('should return null without a recent rate', async () => {
+      assert.equal(await rateOn('EUR', 'USD', '1999-12-31', { dir }), null);
+      assert.equal(
+        await rateOn('EUR', 'USD', '2024-02-01', { dir, maxDays: 7 }),
+        null
+      );
+    });
+  });
+
+  describe('latest', () => {
+    it('should return the latest rate', async () => {
+      assert.deepEqual(await latest('EUR', 'USD', { dir }), {
+        date: '2024-01-02',
+        rate: 9,
+      });
+    });
+
+    it('should return null without any file', async () => {
+      assert.equal(await latest('EUR', 'XXX', { dir }), null);
+    });
+  });
+});
@@ -0,0 +1,225 @@
+import { readdir, readFile, writeFile } from 'fs/promises';
+import { join } from 'path';
+import { round } from './utils.js';
+
+export const REDENOMINATIONS_FILE = 'redenominations.json';
+
+/**
+ * @typedef {object} Redenomination
+ * @property {string} quote redenominated currency
+ * @property {string} date first date quoted in the new unit
+ * @property {number} factor old units worth one new unit, e.g. 1000000
+ */
+
+/**
+ * Resolves with the redenominations recorded in `outputDir`.
+ *
+ * @param {string} outputDir
+ * @returns {Promise<Redenomination[]>}
+ */
+export const readRedenominations = async (outputDir) => {
+  try {
+    return JSON.parse(
+      await readFile(join(outputDir, REDENOMINATIONS_FILE), 'utf-8')
+    );
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return [];
+    }
+
+    throw error;
+  }
+};
+
+/**
+ * Returns what a `base`/`quote` rate of `date` must be multiplied with
+ * to be expressed in the units in use after every event of `events`.
+ *
+ * @param {Redenomination[]} events
+ * @param {string} base
+ * @param {string} quote
+ * @param {string} date
+ * @returns {number}
+ */
+export const redenominationScale = (events, base, quote, date) => {
+  let scale = 1;
+
+  for (const event of events) {
+    if (date >= event.date) {
+      continue;
+    }
+
+    if (event.quote === quote) {
+      scale /= event.factor;
+    }
+
+    if (event.quote === base) {
+      scale *= event.factor;
+    }
+  }
+
+  return scale;
+};
+
+/**
+ * Rescales the rates of `data`, quoted against `base`, that predate
+ * recorded redenominations, so that old units never reach the history.
+ *
+ * @param {import('./providers.js').Rates} data
+ * @param {string} base
+ * @param {Redenomination[]} events
+ * @param {number} precision
+ * @returns {import('./providers.js').Rates}
+ */
+export const applyRedenominations = (data, base, events, precision) => {
+  const rates = Object.entries(data.rates).map(([quote, rate]) => {
+    const scale = redenominationScale(events, base, quote, data.date);
+
+    return [
+      quote,
+      rate == null || scale === 1 ? rate : round(rate * scale, precision),
+    ];
+  });
+
+  return { ...data, rates: Object.fromEntries(rates) };
+};
+
+/**
+ * @param {string} dir
+ * @returns {Promise<string[]>} sorted names in `dir`, none if missing
+ */
+const list = async (dir) => {
+  try {
+    return (await readdir(dir)).sort();
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return [];
+    }
+
+    throw error;
+  }
+};
+
+/**
+ * Rescales the rows predating `event` in every output file of every
+ * base, in any format, and resolves with the paths that changed.
+ *
+ * @param {string} outputDir
+ * @param {Redenomination} event
+ * @param {object} options
+ * @param {(path: string) => string | Promise<string>} options.stage
+ * @param {number} options.precision
+ * @returns {Promise<string[]>}
+ */
+export const rescaleFiles = async (outputDir, event, options) => {
+  const changed = [];
+
+  /**
+   * @param {string} path
+   * @param {(content: string) => string} task
+   */
+  const update = async (path, task) => {
+    const content = await readFile(path, 'utf-8');
+    const next = task(content);
+
+    if (next !== content) {
+      await writeFile(await options.stage(path), next, {
+        encoding: 'utf-8',
+        flag: 'w',
+      });
+      changed.push(path);
+    }
+  };
+
+  const bases = (await list(outputDir)).filter((name) => {
+    return /^[A-Z]{3}$/.test(name);
+  });
+
+  for (const base of bases) {
+    const dir = join(outputDir, base);
+
+    /**
+     * @param {string} quote
+     * @param {{ date: string, rate: number | null }} entry
+     */
+    const rescale = (quote, entry) => {
+      const scale = redenominationScale([event], base, quote, entry.date);
+
+      return entry.rate === null || scale === 1
+        ? entry
+        : { ...entry, rate: round(entry.rate * scale, options.precision) };
+    };
+
+    const affects = (quote) => quote === event.quote || base === event.quote;
+
+    const names = await list(dir);
+
+    for (const name of names) {
+      const [, quote] = name.match(/^([A-Z]{3})(\.latest)?\.csv$/) || [];
+
+      if (quote && affects(quote)) {
+        await update(join(dir, name), (content) => {
+          return content.replace(/^(\S+),(\S+)$/gm, (line, date, rate) => {
+            const entry = { date, rate: Number(rate) };
+            const next = rescale(quote, entry);
+
+            return next === entry ? line : `${date},${next.rate}`;
+          });
+        });
+      }
+    }
+
+    for (const name of await list(join(dir, 'ndjson'))) {
+      const [, quote] = name.match(/^([A-Z]{3})\.ndjson$/) || [];
+
+      if (quote && affects(quote)) {
+        await update(join(dir, 'ndjson', name), (content) => {
+          return content.replace(/^.+$/gm, (line) => {
+            const entry = JSON.parse(line);
+            const next = rescale(quote, entry);
+
+            return next === entry ? line : JSON.stringify(next);
+          });
+        });
+      }
+    }
+
+    for (const name of await list(join(dir, 'json'))) {
+      const [, quote] = name.match(/^([A-Z]{3})\.json$/) || [];
+
+      if (quote && affects(quote)) {
+        await update(join(dir, 'json', name), (content) => {
+          const entries = JSON.parse(content).map((entry) => {
+            return JSON.stringify(rescale(quote, entry));
+          });
+
+          return `[\n${entries.join(',\n')}\n]\n`;
+        });
+      }
+    }
+
+    const days = (await list(join(dir, 'daily')))
+      .filter((name) => /^\d{4}-\d{2}-\d{2}\.json$/.test(name))
+      .filter((name) => name.substring(0, 10) < event.date)
+      .map((name) => join(dir, 'daily', name));
+
+    if (names.includes('latest.json')) {
+      days.push(join(dir, 'latest.json'));
+    }
+
+    for (const path of days) {
+      await update(path, (content) => {
+        const day = JSON.parse(content);
+        const rates = Object.entries(day.rates).map(([quote, rate]) => {
+          return [quote, rescale(quote, { date: day.date, rate }).rate];
+        });
+
+        const next = { ...day, rates: Object.fromEntries(rates) };
+
+        return `${JSON.stringify(next, null, 2)}\n`;
+      });
+    }
+  }
+
+  return changed;
+};
@@ -0,0 +1,94 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdir, mkdtemp, readFile, rm, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import {
+  applyRedenominations,
+  readRedenominations,
+  redenominationScale,
+  rescaleFiles,
+} from './redenominations.js';
+
+const VES = { quote: 'VES', date: '2021-10-01', factor: 1_000_000 };
+
+describe('redenominationScale', () => {
+  it('should divide earlier rates of the quote', () => {
+    assert.equal(redenominationScale([VES], 'EUR', 'VES', '2021-09-30'), 1e-6);
+    assert.equal(redenominationScale([VES], 'EUR', 'VES', '2021-10-01'), 1);
+    assert.equal(redenominationScale([VES], 'EUR', 'USD', '2021-09-30'), 1);
+  });
+
+  it('should multiply earlier rates against the quote', () => {
+    assert.equal(redenominationScale([VES], 'VES', 'USD', '2021-09-30'), 1e6);
+  });
+});
+
+describe('applyRedenominations', () => {
+  it('should rescale rates that predate an event', () => {
+    const data = { date: '2021-09-30', rates: { USD: 1.2, VES: 4_800_000 } };
+
+    assert.deepEqual(applyRedenominations(data, 'EUR', [VES], 8), {
+      date: '2021-09-30',
+      rates: { USD: 1.2, VES: 4.8 },
+    });
+  });
+});
+
+describe('redenomination files', () => {
+  let tempDir;
+
+  beforeEach(async () => {
+    tempDir = await mkdtemp(join(tmpdir(), 'redenominations-'));
+    await mkdir(join(tempDir, 'EUR', 'daily'), { recursive: true });
+    await mkdir(join(tempDir, 'VES'));
+  });
+
+  afterEach(async () => {
+    await rm(tempDir, { recursive: true, force: true });
+  });
+
+  it('should resolve with no events when none were recorded', async () => {
+    assert.deepEqual(await readRedenominations(tempDir), []);
+  });
+
+  it('should rescale rows before the event in every format', async () => {
+    const day = { date: '2021-09-30', base: 'EUR', rates: { VES: 4800000 } };
+
+    await writeFile(
+      join(tempDir, 'EUR', 'VES.csv'),
+      '2021-09-29,\n2021-09-30,4800000\n2021-10-01,4.9\n'
+    );
+    await writeFile(join(tempDir, 'EUR', 'USD.csv'), '2021-09-30,1.2\n');
+    await writeFile(join(tempDir, 'VES', 'USD.csv'), '2021-09-30,4e-7\n');
+    await writeFile(
+      join(tempDir, 'EUR', 'daily', '2021-09-30.json'),
+      `${JSON.stringify(day, null, 2)}\n`
+    );
+
+    const paths = await rescaleFiles(tempDir, VES, {
+      stage: (path) => path,
+      precision: 8,
+    });
+
+    assert.deepEqual(paths, [
+      join(tempDir, 'EUR', 'VES.csv'),
+      join(tempDir, 'EUR', 'daily', '2021-09-30.json'),
+      join(tempDir, 'VES', 'USD.csv'),
+    ]);
+    assert.equal(
+      await readFile(join(tempDir, 'EUR', 'VES.csv'), 'utf-8'),
+      '2021-09-29,\n2021-09-30,4.8\n2021-10-01,4.9\n'
+    );
+    assert.equal(
+      await readFile(join(tempDir, 'VES', 'USD.csv'), 'utf-8'),
+      '2021-09-30,0.4\n'
+    );
+    assert.deepEqual(
+      JSON.parse(
+        await readFile(join(tempDir, 'EUR', 'daily', '2021-09-30.json'))
+      ).rates,
+      { VES: 4.8 }
+    );
+  });
+});
@@ -0,0 +1,239 @@
+import { readdir } from 'fs/promises';
+import { createServer as createHttpServer } from 'http';
+import { join } from 'path';
+import { convert } from './convert.js';
+import { NotFoundError, RequestError } from './errors.js';
+import { createLogger } from './logger.js';
+import { latest, readSeries } from './reader.js';
+import { isDate } from './utils.js';
+
+/**
+ * @typedef {object} Reply
+ * @property {any} json body of JSON responses
+ * @property {string[][]} rows rows of CSV responses, header first
+ */
+
+const CURRENCY = /^[A-Z]{3}$/;
+
+/**
+ * @param {URLSearchParams} params
+ * @param {string} name
+ * @returns {string | undefined}
+ */
+const dateParam = (params, name) => {
+  const value = params.get(name) || undefined;
+
+  if (value !== undefined && !isDate(value)) {
+    throw new RequestError(`"${name}" must be a YYYY-MM-DD date`, 400);
+  }
+
+  return value;
+};
+
+/**
+ * @param {URLSearchParams} params
+ * @param {string} name
+ * @returns {string}
+ */
+const currencyParam = (params, name) => {
+  const value = params.get(name);
+
+  if (!CURRENCY.test(value ?? '')) {
+    throw new RequestError(`"${name}" must be a currency code`, 400);
+  }
+
+  return value;
+};
+
+/**
+ * @param {string} target request target, e.g. "/v1/EUR/latest"
+ * @returns {URL}
+ */
+const parseTarget = (target) => {
+  try {
+    return new URL(target, 'http://localhost');
+  } catch {
+    throw new RequestError(`Invalid request target "${target}"`, 400);
+  }
+};
+
+/**
+ * @param {Error} error
+ * @returns {number}
+ */
+const statusOf = (error) => {
+  if (error instanceof RequestError) {
+    return error.status;
+  }
+
+  return error instanceof NotFoundError ? 404 : 500;
+};
+
+/**
+ * Routes a GET request to the dataset in `dir`.
+ *
+ * @param {URL} url
+ * @param {string} dir
+ * @returns {Promise<Reply>}
+ */
+const route = async (url, dir) => {
+  const params = url.searchParams;
+  const [version, base, quote, ...rest] = url.pathname
+    .split('/')
+    .filter(Boolean);
+
+  if (version !== 'v1' || rest.length > 0) {
+    throw new NotFoundError(`No route for "${url.pathname}"`);
+  }
+
+  if (base === 'convert' && !quote) {
+    const amount = Number(params.get('amount') ?? 1);
+
+    if (!Number.isFinite(amount)) {
+      throw new RequestError('"amount" must be a number', 400);
+    }
+
+    const conversion = await convert({
+      from: currencyParam(params, 'from'),
+      to: currencyParam(params, 'to'),
+      amount,
+      date: dateParam(params, 'date'),
+      dir,
+    });
+
+    const { from, to, date, rate, result, dates } = conversion;
+
+    return {
+      json: conversion,
+      rows: [
+        [
+          'from',
+          'to',
+          'amount',
+          'date',
+          'rate',
+          'result',
+          'from_date',
+          'to_date',
+        ],
+        [from, to, amount, date, rate, result, dates[from], dates[to]],
+      ],
+    };
+  }
+
+  if (!CURRENCY.test(base ?? '')) {
+    throw new NotFoundError(`No route for "${url.pathname}"`);
+  }
+
+  if (quote === 'latest') {
+    let names;
+
+    try {
+      names = await readdir(join(dir, base));
+    } catch (error) {
+      throw error.code === 'ENOENT'
+        ? new NotFoundError(`No "${base}" rates`)
+        : error;
+    }
+
+    const quotes = names
+      .filter((name) => /^[A-Z]{3}\.csv$/.test(name))
+      .map((name) => name.substring(0, 3))
+      .sort();
+
+    const rates = {};
+
+    for (const quote of quotes) {
+      rates[quote] = await latest(base, quote, { dir });
+    }
+
+    return {
+      json: { base, rates },
+      rows: [
+        ['quote', 'date', 'rate'],
+        ...Object.entries(rates)
+          .filter(([, rate]) => rate)
+          .map(([quote, { date, rate }]) => [quote, date, rate]),
+      ],
+    };
+  }
+
+  if (!CURRENCY.test(quote ?? '')) {
+    throw new NotFoundError(`No route for "${url.pathname}"`);
+  }
+
+  const rates = await readSeries(base, quote, {
+    from: dateParam(params, 'from'),
+    to: dateParam(params, 'to'),
+    dir,
+  });
+
+  return {
+    json: { base, quote, rates },
+    rows: [['date', 'rate'], ...rates.map(({ date, rate }) => [date, rate])],
+  };
+};
+
+/**
+ * Creates a read-only HTTP server over the dataset in `dir`, answering
+ * with JSON, or CSV when the `Accept` header asks for `text/csv`:
+ *
+ * - `/v1/<BASE>/<QUOTE>?from=&to=` history between two dates
+ * - `/v1/<BASE>/latest` latest rate of every quote
+ * - `/v1/convert?from=&to=&amount=&date=` conversion through EUR
+ *
+ * Files are read on every request, so rows written by later runs are
+ * served right away.
+ *
+ * @param {object} options
+ * @param {string} options.dir
+ * @param {import('./logger.js').Logger=} options.logger
+ * @returns {import('http').Server}
+ */
+export const createServer = (options) => {
+  const logger = options.logger || createLogger();
+
+  return createHttpServer(async (request, response) => {
+    const start = performance.now();
+    const csv = /\btext\/csv\b/.test(request.headers.accept ?? '');
+    let status = 200;
+    let body;
+
+    try {
+      if (request.method !== 'GET') {
+        throw new RequestError(
+          `Method "${request.method}" not allowed`,
+          405
+        );
+      }
+
+      const reply = await route(parseTarget(request.url), options.dir);
+
+      body = csv
+        ? reply.rows.map((row) => `${row.map((v) => v ?? '')}\n`).join('')
+        : JSON.stringify(reply.json);
+    } catch (error) {
+      status = statusOf(error);
+
+      if (status === 500) {
+        logger.error(`${request.method} ${request.url} failed`, { error });
+      }
+
+      const message = status === 500 ? 'Internal error' : error.message;
+
+      body = csv ? `error\n${message}\n` : JSON.stringify({ error: message });
+    }
+
+    response.writeHead(status, {
+      'content-type': csv ? 'text/csv; charset=utf-8' : 'application/json',
+      vary: 'accept',
+    });
+    response.end(body);
+
+    logger.info(
+      `${request.method} ${request.url} ${status} ` +
+        `(${Math.round(performance.now() - start)}ms)`,
+      { method: request.method, url: request.url, status }
+    );
+  });
+};
@@ -0,0 +1,144 @@
+import { describe, it, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { once } from 'events';
+import { appendFile, mkdir, mkdtemp, rm, writeFile } from 'fs/promises';
+import { connect } from 'net';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { createServer } from './server.js';
+
+describe('createServer', () => {
+  const logger = {
+    debug: mock.fn(),
+    info: mock.fn(),
+    warn: mock.fn(),
+    error: mock.fn(),
+  };
+
+  let dir;
+  let server;
+  let origin;
+
+  const get = async (path, accept = 'application/json') => {
+    const response = await fetch(`${origin}${path}`, { headers: { accept } });
+
+    return {
+      status: response.status,
+      type: response.headers.get('content-type'),
+      body: await response.text(),
+    };
+  };
+
+  before(async () => {
+    dir = await mkdtemp(join(tmpdir(), 'server-'));
+    await mkdir(join(dir, 'EUR'));
+    await writeFile(
+      join(dir, 'EUR', 'USD.csv'),
+      '2024-01-04,1.1\n2024-01-05,1.2\n2024-01-08,1.3\n'
+    );
+    await writeFile(join(dir, 'EUR', 'USD.latest.csv'), '2024-01-09,1.4\n');
+    await writeFile(
+      join(dir, 'EUR', 'JPY.csv'),
+      '2024-01-04,150\n2024-01-05,156\n2024-01-08,169\n'
+    );
+
+    server = createServer({ dir, logger });
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    origin = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(async () => {
+    server.close();
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  it('should serve a series between two dates as JSON', async () => {
+    const response = await get('/v1/EUR/USD?from=2024-01-05&to=2024-01-07');
+
+    assert.equal(response.status, 200);
+    assert.equal(response.type, 'application/json');
+    assert.deepEqual(JSON.parse(response.body), {
+      base: 'EUR',
+      quote: 'USD',
+      rates: [{ date: '2024-01-05', rate: 1.2 }],
+    });
+  });
+
+  it('should serve CSV when asked for', async () => {
+    const response = await get('/v1/EUR/USD?from=2024-01-08', 'text/csv');
+
+    assert.equal(response.type, 'text/csv; charset=utf-8');
+    assert.equal(response.body, 'date,rate\n2024-01-08,1.3\n');
+  });
+
+  it('should pick up rows written after it started', async () => {
+    await appendFile(join(dir, 'EUR', 'JPY.csv'), '2024-01-09,170\n');
+
+    const response = await get('/v1/EUR/JPY?from=2024-01-09', 'text/csv');
+
+    assert.equal(response.body, 'date,rate\n2024-01-09,170\n');
+  });
+
+  it('should serve the latest rates', async () => {
+    const response = await get('/v1/EUR/latest');
+
+    assert.deepEqual(JSON.parse(response.body), {
+      base: 'EUR',
+      rates: {
+        JPY: { date: '2024-01-09', rate: 170 },
+        USD: { date: '2024-01-09', rate: 1.4 },
+      },
+    });
+  });
+
+  it('should convert through EUR', async () => {
+    const response = await get(
+      '/v1/convert?from=USD&to=JPY&amount=100&date=2024-01-07'
+    );
+
+    assert.deepEqual(JSON.parse(response.body), {
+      from: 'USD',
+      to: 'JPY',
+      amount: 100,
+      date: '2024-01-07',
+      rate: 130,
+      result: 13000,
+      dates: { USD: '2024-01-05', JPY: '2024-01-05' },
+    });
+  });
+
+  it('should answer errors with their status', async () => {
+    const missing = await get('/v1/EUR/GBP');
+    const invalid = await get('/v1/EUR/USD?from=yesterday', 'text/csv');
+    const unknown = await get('/v2/EUR/USD');
+
+    assert.equal(missing.status, 404);
+    assert.match(JSON.parse(missing.body).error, /^No "EUR\/GBP" history/);
+    assert.equal(invalid.status, 400);
+    assert.equal(invalid.body, 'error\n"from" must be a YYYY-MM-DD date\n');
+    assert.equal(unknown.status, 404);
+
+    const post = await fetch(`${origin}/v1/EUR/USD`, { method: 'POST' });
+
+    assert.equal(post.status, 405);
+    assert.deepEqual(await post.json(), {
+      error: 'Method "POST" not allowed',
+    });
+  });
+
+  it('should reject malformed request targets and keep serving', async () => {
+    const socket = connect(server.address().port, '127.0.0.1');
+    let reply = '';
+
+    socket.setEncoding('utf-8');
+    socket.on('data', (chunk) => {
+      reply += chunk;
+    });
+    socket.end('GET //[ HTTP/1.1\r\nHost: localhost\r\n\r\n');
+    await once(socket, 'close');
+
+    assert.match(reply, /^HTTP\/1\.1 400 /);
+    assert.match(reply, /"error":"Invalid request target \\"\/\/\[\\""/);
+    assert.equal((await get('/v1/EUR/latest')).status, 200);
+  });
+});
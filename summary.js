@@ -0,0 +1,180 @@
+import { mkdir, writeFile } from 'fs/promises';
+import { dirname } from 'path';
+
+/**
+ * @typedef {object} Summary
+ * @property {string} command
+ * @property {'ok' | 'failed'} status
+ * @property {string[]} dates dates of the fetched rates
+ * @property {number} written rows written
+ * @property {number} skipped rows left as they were
+ * @property {number} failed rows that could not be written
+ * @property {number} anomalies anomalous rates found
+ * @property {string[]} newQuotes returned symbols that are not configured
+ * @property {string[]} missingQuotes configured quotes that were not
+ *   returned
+ * @property {number} requests HTTP requests sent
+ * @property {number} cached responses served from the cache
+ * @property {number} retries
+ * @property {number} duration milliseconds the run took
+ */
+
+/**
+ * Collects what a run did, for its final summary.
+ */
+export class RunSummary {
+  /**
+   * @type {string}
+   */
+  #command;
+
+  /**
+   * @type {number}
+   */
+  #start = performance.now();
+
+  /**
+   * @type {Set<string>}
+   */
+  #dates = new Set();
+
+  /**
+   * @type {{ written: number, skipped: number, failed: number }}
+   */
+  #rows = { written: 0, skipped: 0, failed: 0 };
+
+  /**
+   * @type {number}
+   */
+  #anomalies = 0;
+
+  /**
+   * @type {{ added: Set<string>, missing: Set<string> }}
+   */
+  #quotes = { added: new Set(), missing: new Set() };
+
+  /**
+   * @param {string} command
+   */
+  constructor(command) {
+    this.#command = command;
+  }
+
+  /**
+   * @returns {string[]} dates of the rates fetched so far, sorted
+   */
+  get dates() {
+    return [...this.#dates].sort();
+  }
+
+  /**
+   * @param {string} date
+   */
+  addDate(date) {
+    this.#dates.add(date);
+  }
+
+  /**
+   * @param {import('./utils.js').QuoteOutcome[] | void} outcomes
+   */
+  addOutcomes(outcomes) {
+    for (const { status, value } of outcomes || []) {
+      if (status === 'rejected') {
+        this.#rows.failed++;
+      } else if (value === false) {
+        this.#rows.skipped++;
+      } else {
+        this.#rows.written++;
+      }
+    }
+  }
+
+  /**
+   * @param {number} count
+   */
+  addAnomalies(count) {
+    this.#anomalies += count;
+  }
+
+  /**
+   * @param {{ added: string[], missing: string[] }} quotes
+   */
+  addQuotes(quotes) {
+    quotes.added.forEach((quote) => this.#quotes.added.add(quote));
+    quotes.missing.forEach((quote) => this.#quotes.missing.add(quote));
+  }
+
+  /**
+   * @param {object} options
+   * @param {boolean} options.ok
+   * @param {{ requests: number, cached: number, retries: number }}
+   *   options.http statistics of the HTTP client
+   * @returns {Summary}
+   */
+  finish(options) {
+    return {
+      command: this.#command,
+      status: options.ok ? 'ok' : 'failed',
+      dates: this.dates,
+      ...this.#rows,
+      anomalies: this.#anomalies,
+      newQuotes: [...this.#quotes.added].sort(),
+      missingQuotes: [...this.#quotes.missing].sort(),
+      ...options.http,
+      duration: Math.round(performance.now() - this.#start),
+    };
+  }
+}
+
+/**
+ * @param {Summary} summary
+ * @returns {string}
+ */
+export const formatSummary = (summary) => {
+  const { dates } = summary;
+  const range =
+    dates.length > 1 ? `${dates[0]} to ${dates.at(-1)}` : dates[0] || '-';
+
+  const quotes = [
+    ['new', summary.newQuotes],
+    ['missing', summary.missingQuotes],
+  ]
+    .filter(([, list]) => list.length > 0)
+    .map(([name, list]) => `, ${name} quote(s): ${list.join(' ')}`)
+    .join('');
+
+  return (
+    `${summary.command} ${summary.status}: ${dates.length} date(s) ` +
+    `(${range}), ${summary.written} row(s) written, ` +
+    `${summary.skipped} skipped, ${summary.failed} failed, ` +
+    `${summary.anomalies} anomalies, ` +
+    `${summary.requests} request(s), ${summary.retries} retries ` +
+    `in ${summary.duration}ms${quotes}`
+  );
+};
+
+/**
+ * Prints `summary` to stdout as text or as a JSON line, and writes it
+ * as JSON to `file` when given.
+ *
+ * @param {Summary} summary
+ * @param {object} options
+ * @param {'text' | 'json'} options.format
+ * @param {string=} options.file
+ * @returns {Promise<void>}
+ */
+export const writeSummary = async (summary, options) => {
+  console.log(
+    options.format === 'json'
+      ? JSON.stringify({ summary })
+      : formatSummary(summary)
+  );
+
+  if (options.file) {
+    await mkdir(dirname(options.file), { recursive: true });
+    await writeFile(options.file, `${JSON.stringify(summary, null, 2)}\n`, {
+      encoding: 'utf-8',
+      flag: 'w',
+    });
+  }
+};
@@ -0,0 +1,105 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, readFile, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { formatSummary, RunSummary, writeSummary } from './summary.js';
+
+const HTTP = { requests: 2, cached: 0, retries: 1 };
+
+describe('RunSummary', () => {
+  it('should count dates and rows', () => {
+    const summary = new RunSummary('daily');
+
+    summary.addDate('2024-01-02');
+    summary.addDate('2024-01-01');
+    summary.addDate('2024-01-02');
+    summary.addOutcomes([
+      { quote: 'EUR', status: 'fulfilled', value: true, duration: 1 },
+      { quote: 'JPY', status: 'fulfilled', value: false, duration: 1 },
+      { quote: 'USD', status: 'rejected', error: new Error(), duration: 1 },
+    ]);
+    summary.addOutcomes(undefined);
+    summary.addAnomalies(2);
+    summary.addQuotes({ added: ['SLE'], missing: ['SLL', 'VES'] });
+    summary.addQuotes({ added: ['SLE'], missing: ['SLL'] });
+
+    const result = summary.finish({ ok: false, http: HTTP });
+
+    assert.equal(typeof result.duration, 'number');
+    assert.deepEqual(
+      { ...result, duration: 0 },
+      {
+        command: 'daily',
+        status: 'failed',
+        dates: ['2024-01-01', '2024-01-02'],
+        written: 1,
+        skipped: 1,
+        failed: 1,
+        anomalies: 2,
+        newQuotes: ['SLE'],
+        missingQuotes: ['SLL', 'VES'],
+        requests: 2,
+        cached: 0,
+        retries: 1,
+        duration: 0,
+      }
+    );
+  });
+});
+
+describe('writeSummary', () => {
+  const summary = {
+    ...new RunSummary('backfill').finish({ ok: true, http: HTTP }),
+    dates: ['2024-01-01', '2024-01-03'],
+    written: 320,
+    duration: 1500,
+  };
+
+  let tempDir;
+  let originalConsoleLog;
+
+  beforeEach(async () => {
+    tempDir = await mkdtemp(join(tmpdir(), 'summary-'));
+    originalConsoleLog = console.log;
+    console.log = mock.fn();
+  });
+
+  afterEach(async () => {
+    console.log = originalConsoleLog;
+    await rm(tempDir, { recursive: true, force: true });
+  });
+
+  it('should print a text line', async () => {
+    await writeSummary(summary, { format: 'text' });
+
+    assert.equal(
+      console.log.mock.calls[0].arguments[0],
+      formatSummary(summary)
+    );
+    assert.equal(
+      formatSummary(summary),
+      'backfill ok: 2 date(s) (2024-01-01 to 2024-01-03), ' +
+        '320 row(s) written, 0 skipped, 0 failed, 0 anomalies, ' +
+        '2 request(s), 1 retries in 1500ms'
+    );
+  });
+
+  it('should list new and missing quotes', () => {
+    assert.match(
+      formatSummary({ ...summary, newQuotes: ['SLE'], missingQuotes: [] }),
+      /in 1500ms, new quote\(s\): SLE$/
+    );
+  });
+
+  it('should print JSON and write the file', async () => {
+    const file = join(tempDir, 'out', 'summary.json');
+
+    await writeSummary(summary, { format: 'json', file });
+
+    assert.deepEqual(JSON.parse(console.log.mock.calls[0].arguments[0]), {
+      summary,
+    });
+    assert.deepEqual(JSON.parse(await readFile(file, 'utf-8')), summary);
+  });
+});
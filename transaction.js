@@ -0,0 +1,148 @@
+import { copyFile, mkdir, open, rename, rm } from 'fs/promises';
+import { basename, dirname, join, resolve } from 'path';
+
+/**
+ * Stages writes to copies of the output files and moves them into
+ * place only once the whole run succeeded. Staged files live next to
+ * their targets so that moving them is an atomic rename.
+ */
+export class Transaction {
+  /**
+   * @type {Map<string, Promise<string>>} staged paths by target path
+   */
+  #staged = new Map();
+
+  /**
+   * @type {string}
+   */
+  #suffix;
+
+  /**
+   * @type {string | undefined}
+   */
+  #dir;
+
+  /**
+   * @param {object=} options
+   * @param {string=} options.id unique name of the staged files
+   * @param {string=} options.dir stage files under this directory
+   *   instead, e.g. for dry runs that must not touch the output
+   */
+  constructor(options = {}) {
+    this.#suffix = `${options.id ?? process.pid}.tmp`;
+    this.#dir = options.dir;
+  }
+
+  /**
+   * @returns {string[]} target paths written in this transaction
+   */
+  get paths() {
+    return [...this.#staged.keys()];
+  }
+
+  /**
+   * Resolves with the path writes to `path` should go to, copying the
+   * current file there the first time so that it can be updated.
+   *
+   * @param {string} path
+   * @returns {Promise<string>}
+   */
+  stage(path) {
+    if (!this.#staged.has(path)) {
+      const staged = this.#dir
+        ? join(this.#dir, resolve(path))
+        : join(dirname(path), `.${basename(path)}.${this.#suffix}`);
+
+      const copy = async () => {
+        await mkdir(dirname(staged), { recursive: true });
+
+        try {
+          await copyFile(path, staged);
+        } catch (error) {
+          if (error.code !== 'ENOENT') {
+            throw error;
+          }
+        }
+
+        return staged;
+      };
+
+      this.#staged.set(path, copy());
+    }
+
+    return this.#staged.get(path);
+  }
+
+  /**
+   * Flushes every staged file to disk and renames it over its target.
+   *
+   * @returns {Promise<void>}
+   */
+  async commit() {
+    const entries = [];
+
+    for (const [path, promise] of this.#staged) {
+      const staged = await promise;
+
+      if (await sync(staged)) {
+        entries.push([path, staged]);
+      }
+    }
+
+    for (const [path, staged] of entries) {
+      await rename(staged, path);
+    }
+
+    for (const dir of new Set(entries.map(([path]) => dirname(path)))) {
+      await sync(dir);
+    }
+
+    this.#staged.clear();
+  }
+
+  /**
+   * Removes every staged file, leaving the targets untouched.
+   *
+   * @returns {Promise<void>}
+   */
+  async rollback() {
+    for (const promise of this.#staged.values()) {
+      const staged = await promise.catch(() => null);
+
+      if (staged) {
+        await rm(staged, { force: true });
+      }
+    }
+
+    this.#staged.clear();
+  }
+}
+
+/**
+ * Flushes the file or directory at `path` to disk, resolving with
+ * whether it exists.
+ *
+ * @param {string} path
+ * @returns {Promise<boolean>}
+ */
+const sync = async (path) => {
+  let handle;
+
+  try {
+    handle = await open(path, 'r');
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return false;
+    }
+
+    throw error;
+  }
+
+  try {
+    await handle.sync();
+  } finally {
+    await handle.close();
+  }
+
+  return true;
+};
@@ -0,0 +1,85 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  appendFile,
+  mkdtemp,
+  readdir,
+  readFile,
+  rm,
+  writeFile,
+} from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { Transaction } from './transaction.js';
+
+describe('Transaction', () => {
+  let tempDir;
+
+  beforeEach(async () => {
+    tempDir = await mkdtemp(join(tmpdir(), 'transaction-'));
+    await writeFile(join(tempDir, 'USD.csv'), '2024-01-01,1.1\n');
+  });
+
+  afterEach(async () => {
+    await rm(tempDir, { recursive: true, force: true });
+  });
+
+  it('should stage a copy next to the target', async () => {
+    const transaction = new Transaction({ id: 'test' });
+    const staged = await transaction.stage(join(tempDir, 'USD.csv'));
+
+    assert.equal(staged, join(tempDir, '.USD.csv.test.tmp'));
+    assert.equal(await readFile(staged, 'utf-8'), '2024-01-01,1.1\n');
+    assert.equal(await transaction.stage(join(tempDir, 'USD.csv')), staged);
+  });
+
+  it('should stage copies under another directory', async () => {
+    const dir = join(tempDir, 'staged');
+    const transaction = new Transaction({ dir });
+    const staged = await transaction.stage(join(tempDir, 'daily', 'USD.csv'));
+
+    assert.equal(staged, join(dir, tempDir, 'daily', 'USD.csv'));
+    assert.deepEqual((await readdir(tempDir)).sort(), ['USD.csv', 'staged']);
+  });
+
+  it('should only replace the targets on commit', async () => {
+    const transaction = new Transaction();
+    const usd = join(tempDir, 'USD.csv');
+    const jpy = join(tempDir, 'daily', 'JPY.csv');
+
+    await appendFile(await transaction.stage(usd), '2024-01-02,1.2\n');
+    await writeFile(await transaction.stage(jpy), '2024-01-02,160\n');
+
+    assert.equal(await readFile(usd, 'utf-8'), '2024-01-01,1.1\n');
+    await assert.rejects(readFile(jpy), { code: 'ENOENT' });
+
+    await transaction.commit();
+
+    assert.equal(
+      await readFile(usd, 'utf-8'),
+      '2024-01-01,1.1\n2024-01-02,1.2\n'
+    );
+    assert.equal(await readFile(jpy, 'utf-8'), '2024-01-02,160\n');
+    assert.deepEqual((await readdir(tempDir)).sort(), ['USD.csv', 'daily']);
+  });
+
+  it('should skip targets that were staged but never written', async () => {
+    const transaction = new Transaction();
+
+    await transaction.stage(join(tempDir, 'GBP.csv'));
+    await transaction.commit();
+
+    assert.deepEqual(await readdir(tempDir), ['USD.csv']);
+  });
+
+  it('should remove staged files on rollback', async () => {
+    const transaction = new Transaction();
+    const usd = join(tempDir, 'USD.csv');
+
+    await writeFile(await transaction.stage(usd), 'broken');
+    await transaction.rollback();
+
+    assert.equal(await readFile(usd, 'utf-8'), '2024-01-01,1.1\n');
+    assert.deepEqual(await readdir(tempDir), ['USD.csv']);
+  });
+});
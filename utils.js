@@ -1,19 +1,85 @@
 import { appendFile, writeFile } from 'fs/promises';
+import { ApiError, HttpError, WriteError } from './errors.js';
+import { createLogger } from './logger.js';
+import { createDefaultProvider } from './providers.js';
+
+/**
+ * @typedef {import('./logger.js').Logger} Logger
+ */
 
 /**
  * @param {string} name
+ * @param {string=} fallback
  * @returns {string}
  */
-export const env = (name) => {
+export const env = (name, fallback) => {
   const value = process.env[name];
 
   if (!value) {
+    if (fallback !== undefined) {
+      return fallback;
+    }
+
     throw new Error(`"${name}" environment variable is not defined`);
   }
 
   return value;
 };
 
+/**
+ * Query parameters carrying API keys.
+ */
+const SECRET_PARAMS = ['access_key', 'api_key', 'apikey', 'app_id', 'token'];
+
+const SECRET_PATTERN = new RegExp(
+  `([?&](?:${SECRET_PARAMS.join('|')})=)[^&#\\s"']*`,
+  'gi'
+);
+
+/**
+ * Hides the values of secret query parameters in a URL, or in any text
+ * containing URLs such as log lines and error messages.
+ *
+ * @param {string} text
+ * @returns {string}
+ */
+export const redact = (text) => {
+  return text.replace(SECRET_PATTERN, '$1REDACTED');
+};
+
+/**
+ * Redacts the message, stack and other string properties of `error` in
+ * place, and of its `cause` chain, so that printing it does not leak
+ * secrets, e.g. the `input` of an invalid URL error.
+ *
+ * @template {Error} E
+ * @param {E} error
+ * @returns {E}
+ */
+export const redactError = (error) => {
+  const seen = new Set();
+
+  for (let current = error; current; current = current.cause) {
+    if (typeof current !== 'object' || seen.has(current)) {
+      break;
+    }
+
+    seen.add(current);
+
+    for (const key of ['message', 'stack', ...Object.keys(current)]) {
+      if (typeof current[key] === 'string') {
+        current[key] = redact(current[key]);
+      }
+    }
+
+    if (typeof current.cause === 'string') {
+      current.cause = redact(current.cause);
+    }
+  }
+
+  return error;
+};
+
 /**
  * @param {number} delay
  * @returns {Promise<void>}
@@ -24,70 +90,307 @@ export const wait = (delay) => {
   });
 };
 
+/**
+ * @param {string} date
+ * @returns {boolean}
+ */
+export const isDate = (date) => {
+  return (
+    /^\d{4}-\d{2}-\d{2}$/.test(date) &&
+    new Date(date).toJSON()?.substring(0, 10) === date
+  );
+};
+
+/**
+ * @param {string} from
+ * @param {string} to
+ * @returns {string[]}
+ */
+export const dateRange = (from, to) => {
+  for (const date of [from, to]) {
+    if (!isDate(date)) {
+      throw new Error(`"${date}" is not a valid YYYY-MM-DD date`);
+    }
+  }
+
+  if (from > to) {
+    throw new Error(`"${from}" is after "${to}"`);
+  }
+
+  const dates = [];
+
+  for (
+    let time = Date.parse(from);
+    time <= Date.parse(to);
+    time += 86400000
+  ) {
+    dates.push(new Date(time).toJSON().substring(0, 10));
+  }
+
+  return dates;
+};
+
+/**
+ * @typedef {object} RetryPolicy
+ * @property {number} retries attempts after the first one
+ * @property {number} backoff delay before the first retry, in ms
+ * @property {number} factor growth of the delay with every retry
+ * @property {number} maxDelay upper bound of every delay, in ms
+ * @property {number} jitter random extra delay, as a fraction of it
+ * @property {number[]} retryAfterStatuses statuses whose `Retry-After`
+ * header sets the delay
+ * @property {number[]} fatalStatuses statuses that are never retried
+ */
+
+/**
+ * @type {RetryPolicy}
+ */
+export const DEFAULT_RETRY_POLICY = {
+  retries: 0,
+  backoff: 3_000,
+  factor: 2,
+  maxDelay: 30_000,
+  jitter: 0.2,
+  retryAfterStatuses: [429, 503],
+  fatalStatuses: [400, 401, 403, 404, 405, 410, 422],
+};
+
+/**
+ * Reads a `Retry-After` header, either delay seconds or an HTTP date,
+ * as milliseconds from `now`.
+ *
+ * @param {string | null | undefined} value
+ * @param {number=} now
+ * @returns {number | null}
+ */
+export const parseRetryAfter = (value, now = Date.now()) => {
+  if (!value) {
+    return null;
+  }
+
+  if (/^\d+$/.test(value.trim())) {
+    return Number(value) * 1000;
+  }
+
+  const time = Date.parse(value);
+
+  return Number.isNaN(time) ? null : Math.max(0, time - now);
+};
+
+/**
+ * Milliseconds to wait before retry number `attempt` (starting at 1):
+ * the delay asked for by the server or an exponential backoff with
+ * jitter, capped at `maxDelay` either way.
+ *
+ * @param {RetryPolicy} policy
+ * @param {number} attempt
+ * @param {(number | null)=} retryAfter
+ * @returns {number}
+ */
+export const retryDelay = (policy, attempt, retryAfter) => {
+  if (retryAfter !== null && retryAfter !== undefined) {
+    return Math.min(retryAfter, policy.maxDelay);
+  }
+
+  const delay = policy.backoff * policy.factor ** (attempt - 1);
+  const jitter = delay * policy.jitter * Math.random();
+
+  return Math.min(delay + jitter, policy.maxDelay);
+};
+
 export class HttpClient {
   /**
    * @type {number}
    */
-  #retries;
+  #timeout;
 
   /**
-   * @type {number}
+   * @type {RetryPolicy}
    */
-  #timeout;
+  #policy;
 
   /**
-   * @type {number}
+   * @type {import('./cache.js').HttpCache | null}
+   */
+  #cache;
+
+  /**
+   * @type {Logger}
    */
-  #backoff;
+  #logger;
 
   /**
+   * @type {{ requests: number, cached: number, retries: number }}
+   */
+  #stats = { requests: 0, cached: 0, retries: 0 };
+
+  /**
+   * `retries` and `backoff` are shortcuts for the same fields of
+   * `retryPolicy`, which also takes the rest of `RetryPolicy`.
+   *
    * @param {object} options
    * @param {number=} options.retries
    * @param {number=} options.timeout
    * @param {number=} options.backoff
+   * @param {Partial<RetryPolicy>=} options.retryPolicy
+   * @param {import('./cache.js').HttpCache=} options.cache
+   * @param {Logger=} options.logger
    */
   constructor(options = {}) {
-    this.#retries = options.retries || 0;
     this.#timeout = options.timeout || 10_000;
-    this.#backoff = options.backoff || 3_000;
+    this.#cache = options.cache || null;
+    this.#logger = options.logger || createLogger();
+    this.#policy = {
+      ...DEFAULT_RETRY_POLICY,
+      retries: options.retries || DEFAULT_RETRY_POLICY.retries,
+      backoff: options.backoff || DEFAULT_RETRY_POLICY.backoff,
+      ...options.retryPolicy,
+    };
   }
 
   /**
+   * Requests sent, responses served from the cache and retries so far.
+   *
+   * @returns {{ requests: number, cached: number, retries: number }}
+   */
+  get stats() {
+    return { ...this.#stats };
+  }
+
+  /**
+   * Resolves with the decoded body of `url`, from the cache if it has
+   * the response. The raw `body` is only included if it was fetched
+   * and should be recorded.
+   *
+   * @param {string} url
+   * @param {'json' | 'text'=} format
+   * @param {Record<string, string>=} headers
+   * @param {boolean=} stable
+   * @returns {Promise<{ data: any, body?: string }>}
+   */
+  async #request(url, format, headers, stable) {
+    const policy = this.#policy;
+    const cache = this.#cache;
+
+    /**
+     * @param {string} body
+     */
+    const decode = (body) => {
+      return format === 'text' ? body : JSON.parse(body);
+    };
+
+    const cached = cache ? await cache.read(url, { stable }) : null;
+
+    if (cached !== null) {
+      this.#stats.cached++;
+      this.#logger.debug(`Cached response for "${redact(url)}"`, {
+        url: redact(url),
+      });
+
+      return { data: decode(cached) };
+    }
+
+    const start = performance.now();
+
+    this.#stats.requests++;
+
+    const response = await fetch(url, {
+      headers,
+      signal: AbortSignal.timeout(this.#timeout),
+    });
+
+    this.#logger.debug(`HTTP ${response.status} on "${redact(url)}"`, {
+      url: redact(url),
+      status: response.status,
+      duration: Math.round(performance.now() - start),
+    });
+
+    if (!response.ok) {
+      const { status } = response;
+      const retryAfter = policy.retryAfterStatuses.includes(status)
+        ? parseRetryAfter(response.headers?.get('retry-after'))
+        : null;
+
+      throw new HttpError(
+        `HTTP ${status}: ${response.statusText} on "${redact(url)}"`,
+        {
+          status,
+          retryAfter,
+          retryable: !policy.fatalStatuses.includes(status),
+        }
+      );
+    }
+
+    if (!cache) {
+      const data =
+        format === 'text' ? await response.text() : await response.json();
+
+      return { data };
+    }
+
+    const body = await response.text();
+
+    return { data: decode(body), body };
+  }
+
+  /**
+   * Errors thrown by `options.parse` are retried like network errors
+   * unless they are marked with `retryable: false`, and so are HTTP
+   * errors unless their status is one of the policy's `fatalStatuses`.
+   * With a cache, responses are only recorded once they were parsed.
+   * Secrets in `url` are redacted from warnings and thrown errors.
+   *
    * @template T
    *
    * @param {string} url
+   * @param {object=} options
+   * @param {'json' | 'text'=} options.format
+   * @param {Record<string, string>=} options.headers
+   * @param {boolean=} options.stable whether the response never changes,
+   *   so that the `cache` mode may serve it
+   * @param {(body: any) => T=} options.parse
    * @returns {Promise<T>}
    */
-  async get(url) {
-    const retries = this.#retries;
-    const timeout = this.#timeout;
+  async get(url, options = {}) {
+    const policy = this.#policy;
+    const { retries } = policy;
+    const safeUrl = redact(url);
 
     for (let i = 0; i < retries + 1; i++) {
       try {
-        const response = await fetch(url, {
-          signal: AbortSignal.timeout(timeout),
-        });
-
-        if (!response.ok) {
-          throw new Error(
-            `HTTP ${response.status}: ${response.statusText} on "${url}"`
-          );
+        const { data, body } = await this.#request(
+          url,
+          options.format,
+          options.headers,
+          options.stable
+        );
+        const result = options.parse ? options.parse(data) : data;
+
+        if (body !== undefined) {
+          await this.#cache.write(url, body);
         }
 
-        const data = await response.json();
-
-        return data;
+        return result;
       } catch (error) {
-        if (i < retries) {
+        if (i < retries && error.retryable !== false) {
           const attempt = i + 1;
-
-          console.warn(
-            `Attempt ${attempt}/${retries} failed for "${url}", retrying...`
+          const delay = retryDelay(policy, attempt, error.retryAfter);
+          const attempts = `${attempt}/${retries}`;
+
+          this.#stats.retries++;
+          this.#logger.warn(
+            `Attempt ${attempts} failed for "${safeUrl}", retrying...`,
+            {
+              url: safeUrl,
+              attempt,
+              delay: Math.round(delay),
+              error: redact(String(error?.message)),
+            }
           );
 
-          await wait(this.#backoff);
+          await wait(delay);
         } else {
-          throw error;
+          throw redactError(error);
         }
       }
     }
@@ -95,6 +398,94 @@ export class HttpClient {
 }
 
 /**
+ * @param {any} rate
+ * @returns {boolean} whether `rate` is a usable, positive rate
+ */
+export const isRate = (rate) => {
+  return Number.isFinite(rate) && rate > 0;
+};
+
+/**
+ * Checks the shape of parsed provider data: a YYYY-MM-DD date and an
+ * object of rates. Rates that are not positive numbers (missing, null,
+ * zero, non-numeric) are moved to `invalid` with a warning, so that they
+ * are screened for anomalies but never written over existing rows.
+ *
+ * @param {import('./providers.js').Rates} data
+ * @param {object=} options
+ * @param {Logger=} options.logger
+ * @returns {import('./providers.js').Rates}
+ */
+export const validateRates = (data, options = {}) => {
+  if (!isDate(data?.date)) {
+    throw new ApiError(`Invalid date "${data?.date}" in response`, {
+      code: 'invalid_payload',
+    });
+  }
+
+  const { rates } = data;
+
+  if (!rates || typeof rates !== 'object' || Array.isArray(rates)) {
+    throw new ApiError(`Missing rates in response for ${data.date}`, {
+      code: 'invalid_payload',
+    });
+  }
+
+  const invalid = Object.keys(rates).filter((quote) => {
+    return !isRate(rates[quote]);
+  });
+
+  if (invalid.length === 0) {
+    return data;
+  }
+
+  options.logger?.warn(
+    `Skipping invalid rates for ${invalid.join(', ')} on ${data.date}`,
+    { date: data.date, quotes: invalid }
+  );
+
+  return {
+    ...data,
+    rates: Object.fromEntries(
+      Object.entries(rates).filter(([quote]) => !invalid.includes(quote))
+    ),
+    invalid: Object.fromEntries(
+      invalid.map((quote) => [quote, rates[quote]])
+    ),
+  };
+};
+
+/**
+ * Compares the symbols returned for `base` with the configured `quotes`,
+ * ignoring the base itself. Symbols returned with an invalid rate count
+ * as returned.
+ *
+ * @param {object} data
+ * @param {Record<string, number>} data.rates
+ * @param {Record<string, unknown>=} data.invalid
+ * @param {string[]} quotes
+ * @param {string} base
+ * @returns {{ added: string[], missing: string[] }} returned symbols
+ *   that are not configured, and configured quotes that were not
+ *   returned
+ */
+export const compareQuotes = (data, quotes, base) => {
+  const symbols = Object.keys({ ...data.rates, ...data.invalid });
+
+  return {
+    added: symbols
+      .filter((quote) => quote !== base && !quotes.includes(quote))
+      .sort(),
+    missing: quotes
+      .filter((quote) => quote !== base && !symbols.includes(quote))
+      .sort(),
+  };
+};
+
+/**
+ * Formats the rates of `quotes` as history rows, leaving out rates that
+ * are not positive numbers.
+ *
  * @param {object} data
  * @param {string} data.date
  * @param {Record<string, number>} data.rates
@@ -104,19 +495,73 @@ export class HttpClient {
  */
 export const dataToLines = (data, options) => {
   const lines = Object.entries(data.rates)
-    .filter(([quote]) => {
-      return options.quotes.includes(quote);
+    .filter(([quote, rate]) => {
+      return options.quotes.includes(quote) && isRate(rate);
     })
     .sort(([prevQuote], [nextQuote]) => {
       return prevQuote.localeCompare(nextQuote);
     })
     .map(([quote, rate]) => {
-      return [quote, `${data.date},${rate || ''}`];
+      return [quote, `${data.date},${rate}`];
     });
 
   return lines;
 };
 
+/**
+ * @param {number} value
+ * @param {number} precision significant digits
+ * @returns {number}
+ */
+export const round = (value, precision) => {
+  return Number(value.toPrecision(precision));
+};
+
+/**
+ * Derives cross rates against `base` from rates quoted against another
+ * currency, e.g. USD-based rates out of a EUR-based response.
+ *
+ * @param {object} data
+ * @param {string} data.date
+ * @param {Record<string, number>} data.rates
+ * @param {string} base
+ * @param {object} options
+ * @param {number} options.precision
+ * @returns {{ date: string, rates: Record<string, number> }}
+ */
+export const rebase = (data, base, options) => {
+  const divisor = data.rates[base];
+
+  if (!divisor) {
+    throw new Error(`No "${base}" rate on ${data.date} to derive from`);
+  }
+
+  const rates = Object.fromEntries(
+    Object.entries(data.rates).map(([quote, rate]) => {
+      return [quote, rate ? round(rate / divisor, options.precision) : rate];
+    })
+  );
+
+  return { ...data, rates };
+};
+
+/**
+ * @template T
+ * @typedef {object} Outcome
+ * @property {'fulfilled' | 'rejected'} status
+ * @property {T=} value
+ * @property {Error=} error
+ * @property {number} duration milliseconds the task took
+ */
+
+/**
+ * @template T
+ * @typedef {object} Summary
+ * @property {Outcome<T>[]} outcomes in task order
+ * @property {number} fulfilled
+ * @property {number} rejected
+ */
+
 /**
  * @template T
  */
@@ -131,29 +576,68 @@ export class Concurrency {
    */
   #results;
 
+  /**
+   * @type {Logger}
+   */
+  #logger;
+
   /**
    * @param {(() => Promise<T>)[]} promises
+   * @param {object=} options
+   * @param {Logger=} options.logger
    */
-  constructor(promises) {
+  constructor(promises, options = {}) {
     this.#promises = promises;
     this.#results = new Array(promises.length);
+    this.#logger = options.logger || createLogger();
   }
 
   /**
+   * Runs the tasks `batchSize` at a time. By default the first rejection
+   * rejects the run and no further tasks are started. With `settle` every
+   * task runs and the run resolves with the outcome of each of them.
+   *
    * @param {object} options
    * @param {number} options.batchSize
-   * @returns {Promise<void>}
+   * @param {boolean=} options.settle
+   * @returns {Promise<T[] | Summary<T>>}
    */
   async run(options) {
-    const { batchSize } = options;
+    const { batchSize, settle } = options;
     let currentIndex = 0;
+    let failed = false;
+
+    const execute = async (index) => {
+      if (!settle) {
+        return this.#promises[index]();
+      }
+
+      const start = performance.now();
+      const duration = () => performance.now() - start;
+
+      try {
+        const value = await this.#promises[index]();
+
+        return { status: 'fulfilled', value, duration: duration() };
+      } catch (error) {
+        this.#logger.debug(`Task ${index} failed: ${error.message}`, {
+          task: index,
+          error,
+        });
+
+        return { status: 'rejected', error, duration: duration() };
+      }
+    };
 
     const worker = async () => {
-      while (currentIndex < this.#promises.length) {
+      while (currentIndex < this.#promises.length && !failed) {
         const index = currentIndex++;
 
-        if (index < this.#promises.length) {
-          this.#results[index] = await this.#promises[index]();
+        try {
+          this.#results[index] = await execute(index);
+        } catch (error) {
+          failed = true;
+          throw error;
         }
       }
     };
@@ -163,7 +647,25 @@ export class Concurrency {
       .map(() => worker());
 
     await Promise.all(workers);
-    return this.#results;
+
+    if (!settle) {
+      return this.#results;
+    }
+
+    const rejected = this.#results.filter((outcome) => {
+      return outcome.status === 'rejected';
+    }).length;
+
+    this.#logger.debug(
+      `Settled ${this.#results.length} task(s), ${rejected} rejected`,
+      { tasks: this.#results.length, rejected }
+    );
+
+    return {
+      outcomes: this.#results,
+      fulfilled: this.#results.length - rejected,
+      rejected,
+    };
   }
 }
 
@@ -191,6 +693,72 @@ export const appendLine = (path, line) => {
   });
 };
 
+/**
+ * @typedef {import('./providers.js').Rates} Rates
+ * @typedef {(data: Rates) => Promise<QuoteOutcome[] | void>} Writer
+ */
+
+/**
+ * @typedef {Outcome<boolean | void> & { quote: string }} QuoteOutcome
+ */
+
+/**
+ * Runs one write task per quote, four at a time, and resolves with the
+ * outcome of each. A task resolving with `false` skipped its quote as
+ * nothing changed. Every task gets to finish before a `WriteError`
+ * naming the failed quotes is thrown.
+ *
+ * @param {[string, () => Promise<boolean | void>][]} tasks by quote
+ * @param {object=} options
+ * @param {Logger=} options.logger
+ * @returns {Promise<QuoteOutcome[]>}
+ */
+export const writeQuotes = async (tasks, options = {}) => {
+  const { outcomes, rejected } = await new Concurrency(
+    tasks.map(([, task]) => task),
+    { logger: options.logger }
+  ).run({ batchSize: 4, settle: true });
+
+  const results = outcomes.map((outcome, index) => {
+    return { quote: tasks[index][0], ...outcome };
+  });
+
+  if (rejected > 0) {
+    throw new WriteError(results);
+  }
+
+  return results;
+};
+
+/**
+ * Writes one `date,rate` line per quote through `handler`. The path of
+ * a quote may be resolved asynchronously, e.g. to a staged file, and
+ * the handler may resolve with `false` when it skipped the line.
+ *
+ * @param {object} options
+ * @param {(quote: string) => string | Promise<string>} options.path
+ * @param {(path: string, line: string) => Promise<boolean | void>}
+ *   options.handler
+ * @param {Logger=} options.logger
+ * @returns {Writer}
+ */
+export const createCsvWriter = (options) => {
+  return async (data) => {
+    const quotes = Object.keys(data.rates);
+    const lines = dataToLines(data, { quotes });
+
+    return writeQuotes(
+      lines.map(([quote, line]) => {
+        return [
+          quote,
+          async () => options.handler(await options.path(quote), line),
+        ];
+      }),
+      { logger: options.logger }
+    );
+  };
+};
+
 export class Fetcher {
   /**
    * @type {HttpClient}
@@ -202,35 +770,181 @@ export class Fetcher {
    */
   #quotes;
 
+  /**
+   * @type {import('./providers.js').Provider}
+   */
+  #provider;
+
+  /**
+   * @type {Logger}
+   */
+  #logger;
+
+  /**
+   * Responses of shared feeds by URL.
+   *
+   * @type {Map<string, Promise<any>>}
+   */
+  #feeds = new Map();
+
   /**
    * @param {object} options
    * @param {HttpClient} options.httpClient
    * @param {string[]} options.quotes
+   * @param {import('./providers.js').Provider=} options.provider
+   * @param {Logger=} options.logger
    */
   constructor(options) {
     this.#httpClient = options.httpClient;
     this.#quotes = options.quotes;
+    this.#provider = options.provider || createDefaultProvider({});
+    this.#logger = options.logger || createLogger();
   }
 
   /**
+   * Responses of feeds shared by several dates are only downloaded once
+   * per fetcher, and then parsed for every date asked for.
+   *
    * @param {string} url
-   * @param {object} options
-   * @param {(quote: string) => string} options.path
-   * @param {(path: string, line: string) => Promise<void>} options.handler
+   * @param {string=} date requested date, YYYY-MM-DD or "latest"
+   * @returns {Promise<import('./providers.js').Rates>}
+   */
+  async fetch(url, date = 'latest') {
+    const provider = this.#provider;
+
+    /**
+     * @param {any} body
+     * @returns {any}
+     */
+    const check = (body) => {
+      const error = provider.error(body);
+
+      if (error) {
+        throw error;
+      }
+
+      return body;
+    };
+
+    /**
+     * @param {any} body
+     * @returns {import('./providers.js').Rates}
+     */
+    const parse = (body) => {
+      return validateRates(provider.parse(body, date), {
+        logger: this.#logger,
+      });
+    };
+
+    const options = {
+      format: provider.format,
+      headers: provider.headers?.(),
+      stable: provider.stable?.(date) ?? false,
+    };
+
+    if (!provider.shared?.(date)) {
+      return this.#httpClient.get(url, {
+        ...options,
+        parse: (body) => parse(check(body)),
+      });
+    }
+
+    if (!this.#feeds.has(url)) {
+      const feed = this.#httpClient.get(url, { ...options, parse: check });
+
+      this.#feeds.set(url, feed);
+      feed.catch(() => this.#feeds.delete(url));
+    }
+
+    return parse(await this.#feeds.get(url));
+  }
+
+  /**
+   * Logs one line per quote with how writing it went.
    *
+   * @param {string} date
+   * @param {QuoteOutcome[]} outcomes
    */
-  async run(url, options) {
-    const data = await this.#httpClient.get(url);
-    const lines = dataToLines(data, { quotes: this.#quotes });
+  report(date, outcomes) {
+    for (const { quote, status, value, duration, error } of outcomes) {
+      const ms = Math.round(duration);
+      const fields = { date, quote, duration: ms };
 
-    const tasks = lines.map(([quote, line]) => {
-      const path = options.path(quote);
+      if (status === 'rejected') {
+        const message = `${date} ${quote}: failed (${ms}ms) ${error.message}`;
 
-      return () => {
-        return options.handler(path, line);
-      };
-    });
+        this.#logger.error(message, { ...fields, error });
+      } else {
+        const result = value === false ? 'skipped' : 'ok';
+
+        this.#logger.info(`${date} ${quote}: ${result} (${ms}ms)`, {
+          ...fields,
+          result,
+        });
+      }
+    }
+  }
+
+  /**
+   * Writes the configured quotes of `data` with `options.writer`, or as
+   * CSV lines through `options.handler` when no writer is given. Failed
+   * quotes are always reported, the others only with `options.report`.
+   *
+   * @param {object} data
+   * @param {string} data.date
+   * @param {Record<string, number>} data.rates
+   * @param {object} options
+   * @param {Writer=} options.writer
+   * @param {((quote: string) => string)=} options.path
+   * @param {((path: string, line: string) => Promise<void>)=} options.handler
+   * @param {boolean=} options.report
+   * @param {string[]=} options.quotes written instead of the configured
+   *   quotes
+   * @returns {Promise<QuoteOutcome[] | void>}
+   */
+  async write(data, options) {
+    const quotes = options.quotes || this.#quotes;
+    const rates = Object.fromEntries(
+      Object.entries(data.rates).filter(([quote]) => {
+        return quotes.includes(quote);
+      })
+    );
+
+    const writer =
+      options.writer || createCsvWriter({ logger: this.#logger, ...options });
+
+    try {
+      const outcomes = await writer({ ...data, rates });
+
+      if (outcomes && options.report) {
+        this.report(data.date, outcomes);
+      }
+
+      return outcomes;
+    } catch (error) {
+      if (error instanceof WriteError) {
+        this.report(data.date, error.outcomes);
+      }
+
+      throw error;
+    }
+  }
+
+  /**
+   * Fetches and writes rates, printing how every quote went. Rejects
+   * with a `WriteError` if any quote failed.
+   *
+   * @param {string} url
+   * @param {object} options
+   * @param {string=} options.date requested date, YYYY-MM-DD or "latest"
+   * @param {Writer=} options.writer
+   * @param {((quote: string) => string)=} options.path
+   * @param {((path: string, line: string) => Promise<void>)=} options.handler
+   * @returns {Promise<QuoteOutcome[] | void>}
+   */
+  async run(url, options) {
+    const data = await this.fetch(url, options.date);
 
-    await new Concurrency(tasks).run({ batchSize: 4 });
+    return this.write(data, { report: true, ...options });
   }
 }
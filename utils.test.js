@@ -1,17 +1,33 @@
 import { describe, it, beforeEach, afterEach, mock } from 'node:test';
 import assert from 'node:assert/strict';
-import { readFile, rm } from 'fs/promises';
+import { mkdtemp, readFile, rm } from 'fs/promises';
 import { tmpdir } from 'os';
 import { join } from 'path';
+import { inspect } from 'util';
+import { HttpCache } from './cache.js';
+import { ApiError, HttpError, WriteError } from './errors.js';
 import {
   appendLine,
+  compareQuotes,
   Concurrency,
+  createCsvWriter,
   dataToLines,
+  dateRange,
   env,
+  DEFAULT_RETRY_POLICY,
   Fetcher,
   HttpClient,
+  isDate,
+  parseRetryAfter,
+  rebase,
+  redact,
+  redactError,
+  retryDelay,
+  round,
+  validateRates,
   wait,
   writeLine,
+  writeQuotes,
 } from './utils.js';
 
 describe('env function', () => {
@@ -72,6 +88,68 @@ describe('env function', () => {
       assert.equal(result, '0');
     });
   });
+
+  describe('when a fallback is given', () => {
+    it('should return the fallback for undefined variables', () => {
+      const result = env('NON_EXISTENT_VAR', 'fallback');
+
+      assert.equal(result, 'fallback');
+    });
+
+    it('should prefer the value of an existing variable', () => {
+      process.env.TEST_VAR = 'test_value';
+
+      const result = env('TEST_VAR', 'fallback');
+
+      assert.equal(result, 'test_value');
+    });
+  });
+});
+
+describe('redact', () => {
+  it('should hide API keys in URLs', () => {
+    assert.equal(
+      redact('https://example.org/latest?access_key=secret&base=USD'),
+      'https://example.org/latest?access_key=REDACTED&base=USD'
+    );
+  });
+
+  it('should hide every key in a message', () => {
+    assert.equal(
+      redact('Failed "https://a.org/?apikey=1" and "https://b.org/?token=2"'),
+      'Failed "https://a.org/?apikey=REDACTED" and ' +
+        '"https://b.org/?token=REDACTED"'
+    );
+  });
+
+  it('should keep text without keys as it is', () => {
+    assert.equal(
+      redact('https://example.org/latest?base=USD'),
+      'https://example.org/latest?base=USD'
+    );
+  });
+});
+
+describe('redactError', () => {
+  it('should redact the message and stack', () => {
+    const error = redactError(
+      new TypeError('Failed to parse URL from http://x?access_key=secret')
+    );
+
+    assert.equal(
+      error.message,
+      'Failed to parse URL from http://x?access_key=REDACTED'
+    );
+    assert.ok(!error.stack.includes('secret'));
+  });
+
+  it('should redact the causes and their properties', async () => {
+    const url = 'notaurl/2024-01-01?access_key=secret';
+    const error = await new HttpClient().get(url).catch((error) => error);
+
+    assert.equal(error.cause.input, 'notaurl/2024-01-01?access_key=REDACTED');
+    assert.ok(!inspect(error).includes('secret'));
+  });
 });
 
 describe('wait function', () => {
@@ -130,6 +208,54 @@ describe('wait function', () => {
   });
 });
 
+describe('isDate', () => {
+  it('should accept valid YYYY-MM-DD dates', () => {
+    assert.equal(isDate('2024-02-29'), true);
+  });
+
+  it('should reject malformed dates', () => {
+    assert.equal(isDate('2024-1-01'), false);
+    assert.equal(isDate('20240101'), false);
+    assert.equal(isDate(undefined), false);
+  });
+
+  it('should reject dates that do not exist', () => {
+    assert.equal(isDate('2023-02-29'), false);
+    assert.equal(isDate('2024-13-01'), false);
+  });
+});
+
+describe('dateRange', () => {
+  it('should return every day between both dates inclusively', () => {
+    assert.deepEqual(dateRange('2024-02-27', '2024-03-01'), [
+      '2024-02-27',
+      '2024-02-28',
+      '2024-02-29',
+      '2024-03-01',
+    ]);
+  });
+
+  it('should return a single day when both dates are equal', () => {
+    assert.deepEqual(dateRange('2024-01-01', '2024-01-01'), [
+      '2024-01-01',
+    ]);
+  });
+
+  it('should throw for invalid dates', () => {
+    assert.throws(
+      () => dateRange('2024-01-32', '2024-02-01'),
+      new Error('"2024-01-32" is not a valid YYYY-MM-DD date')
+    );
+  });
+
+  it('should throw when the range is reversed', () => {
+    assert.throws(
+      () => dateRange('2024-02-01', '2024-01-01'),
+      new Error('"2024-02-01" is after "2024-01-01"')
+    );
+  });
+});
+
 describe('HttpClient', () => {
   describe('get', () => {
     let originalFetch;
@@ -172,6 +298,86 @@ describe('HttpClient', () => {
       );
     });
 
+    it('should read text responses when asked to', async () => {
+      global.fetch = mock.fn(async () => ({
+        ok: true,
+        status: 200,
+        statusText: 'OK',
+        text: async () => '<xml/>',
+      }));
+
+      const client = new HttpClient();
+      const result = await client.get('https://example.org', {
+        format: 'text',
+      });
+
+      assert.equal(result, '<xml/>');
+    });
+
+    it('should return the result of the parse option', async () => {
+      global.fetch = mock.fn(async () => ({
+        ok: true,
+        status: 200,
+        statusText: 'OK',
+        json: async () => ({ value: 1 }),
+      }));
+
+      const client = new HttpClient();
+      const result = await client.get('https://example.org', {
+        parse: (body) => body.value + 1,
+      });
+
+      assert.equal(result, 2);
+    });
+
+    it('should retry errors thrown while parsing', async () => {
+      let attemptCount = 0;
+
+      global.fetch = mock.fn(async () => ({
+        ok: true,
+        status: 200,
+        statusText: 'OK',
+        json: async () => ({ attempt: ++attemptCount }),
+      }));
+
+      const client = new HttpClient({ retries: 2, backoff: 10 });
+      const result = await client.get('https://example.org', {
+        parse: (body) => {
+          if (body.attempt < 2) {
+            throw new ApiError('Rate limited', { retryable: true });
+          }
+
+          return body;
+        },
+      });
+
+      assert.deepEqual(result, { attempt: 2 });
+      assert.equal(global.fetch.mock.calls.length, 2);
+    });
+
+    it('should not retry non-retryable errors', async () => {
+      global.fetch = mock.fn(async () => ({
+        ok: true,
+        status: 200,
+        statusText: 'OK',
+        json: async () => ({}),
+      }));
+
+      const client = new HttpClient({ retries: 3, backoff: 10 });
+
+      await assert.rejects(
+        client.get('https://example.org', {
+          parse: () => {
+            throw new ApiError('Invalid access key');
+          },
+        }),
+        new ApiError('Invalid access key')
+      );
+
+      assert.equal(global.fetch.mock.calls.length, 1);
+      assert.equal(consoleWarnCalls.length, 0);
+    });
+
     it('should throw error for non-ok response', async () => {
       global.fetch = mock.fn(async () => ({
         ok: false,
@@ -184,12 +390,100 @@ describe('HttpClient', () => {
       await assert.rejects(
         async () =>
           await client.get('https://api.example.com/notfound'),
-        new Error(
-          'HTTP 404: Not Found on "https://api.example.com/notfound"'
+        new HttpError(
+          'HTTP 404: Not Found on "https://api.example.com/notfound"',
+          { status: 404, retryable: false }
         )
       );
     });
 
+    it('should not retry fatal statuses', async () => {
+      global.fetch = mock.fn(async () => ({
+        ok: false,
+        status: 401,
+        statusText: 'Unauthorized',
+      }));
+
+      const client = new HttpClient({ retries: 3, backoff: 10 });
+
+      await assert.rejects(client.get('https://example.org'), {
+        name: 'HttpError',
+        status: 401,
+      });
+
+      assert.equal(global.fetch.mock.calls.length, 1);
+    });
+
+    it('should retry other statuses', async () => {
+      global.fetch = mock.fn(async () => ({
+        ok: false,
+        status: 500,
+        statusText: 'Internal Server Error',
+      }));
+
+      const client = new HttpClient({
+        retries: 2,
+        backoff: 10,
+        retryPolicy: { jitter: 0 },
+      });
+
+      await assert.rejects(client.get('https://example.org'), {
+        status: 500,
+      });
+
+      assert.equal(global.fetch.mock.calls.length, 3);
+    });
+
+    it('should take fatal statuses from the retry policy', async () => {
+      global.fetch = mock.fn(async () => ({
+        ok: false,
+        status: 500,
+        statusText: 'Internal Server Error',
+      }));
+
+      const client = new HttpClient({
+        retries: 2,
+        retryPolicy: { backoff: 10, fatalStatuses: [500] },
+      });
+
+      await assert.rejects(client.get('https://example.org'), {
+        status: 500,
+        retryable: false,
+      });
+
+      assert.equal(global.fetch.mock.calls.length, 1);
+    });
+
+    it('should wait as long as Retry-After asks', async () => {
+      let attemptCount = 0;
+
+      global.fetch = mock.fn(async () => {
+        if (attemptCount++ === 0) {
+          return {
+            ok: false,
+            status: 429,
+            statusText: 'Too Many Requests',
+            headers: new Headers({ 'Retry-After': '0' }),
+          };
+        }
+
+        return {
+          ok: true,
+          status: 200,
+          statusText: 'OK',
+          json: async () => ({ success: true }),
+        };
+      });
+
+      const client = new HttpClient({ retries: 1, backoff: 60_000 });
+
+      const startTime = Date.now();
+      const result = await client.get('https://example.org');
+
+      assert.deepEqual(result, { success: true });
+      assert.ok(Date.now() - startTime < 1000, 'Should not back off');
+    });
+
     it('should retry on failure with backoff', async () => {
       const mockData = { success: true };
       let attemptCount = 0;
@@ -326,6 +620,177 @@ describe('HttpClient', () => {
       );
     });
 
+    it('should keep API keys out of warnings and errors', async () => {
+      global.fetch = mock.fn(async () => ({
+        ok: false,
+        status: 500,
+        statusText: 'Internal Server Error',
+      }));
+
+      const client = new HttpClient({ retries: 1, backoff: 10 });
+
+      await assert.rejects(
+        client.get('https://example.org/latest?access_key=secret'),
+        (error) => {
+          assert.equal(
+            error.message,
+            'HTTP 500: Internal Server Error on ' +
+              '"https://example.org/latest?access_key=REDACTED"'
+          );
+          assert.ok(!error.stack.includes('secret'));
+          return true;
+        }
+      );
+
+      assert.equal(
+        consoleWarnCalls[0][0],
+        'Attempt 1/1 failed for ' +
+          '"https://example.org/latest?access_key=REDACTED", retrying...'
+      );
+    });
+
+    it('should log through the given logger and count retries', async () => {
+      let attemptCount = 0;
+
+      global.fetch = mock.fn(async () => {
+        if (attemptCount++ === 0) {
+          throw new Error('Network error');
+        }
+
+        return {
+          ok: true,
+          status: 200,
+          statusText: 'OK',
+          json: async () => ({}),
+        };
+      });
+
+      const logger = {
+        debug: mock.fn(),
+        info: mock.fn(),
+        warn: mock.fn(),
+        error: mock.fn(),
+      };
+
+      const client = new HttpClient({
+        retries: 1,
+        backoff: 10,
+        retryPolicy: { jitter: 0 },
+        logger,
+      });
+
+      await client.get('https://example.org/?access_key=secret');
+
+      assert.equal(consoleWarnCalls.length, 0);
+      assert.deepEqual(logger.warn.mock.calls[0].arguments[1], {
+        url: 'https://example.org/?access_key=REDACTED',
+        attempt: 1,
+        delay: 10,
+        error: 'Network error',
+      });
+      assert.equal(logger.debug.mock.calls.length, 1);
+      assert.deepEqual(client.stats, { requests: 2, cached: 0, retries: 1 });
+    });
+
+    it('should send the given headers', async () => {
+      global.fetch = mock.fn(async () => ({
+        ok: true,
+        status: 200,
+        statusText: 'OK',
+        json: async () => ({}),
+      }));
+
+      await new HttpClient().get('https://example.org', {
+        headers: { apikey: 'secret' },
+      });
+
+      assert.deepEqual(global.fetch.mock.calls[0].arguments[1].headers, {
+        apikey: 'secret',
+      });
+    });
+
+    describe('with a cache', () => {
+      let tempDir;
+
+      beforeEach(async () => {
+        tempDir = await mkdtemp(join(tmpdir(), 'http-cache-'));
+      });
+
+      afterEach(async () => {
+        await rm(tempDir, { recursive: true, force: true });
+      });
+
+      it('should replay recorded responses without fetching', async () => {
+        global.fetch = mock.fn(async () => ({
+          ok: true,
+          status: 200,
+          statusText: 'OK',
+          text: async () => '{"value":1}',
+        }));
+
+        const url = 'https://example.org/?access_key=secret';
+        const record = new HttpClient({
+          cache: new HttpCache({ dir: tempDir, mode: 'record' }),
+        });
+
+        assert.deepEqual(await record.get(url), { value: 1 });
+
+        const replay = new HttpClient({
+          cache: new HttpCache({ dir: tempDir, mode: 'replay' }),
+        });
+
+        assert.deepEqual(await replay.get(url), { value: 1 });
+        assert.equal(global.fetch.mock.calls.length, 1);
+      });
+
+      it('should not record responses that failed to parse', async () => {
+        global.fetch = mock.fn(async () => ({
+          ok: true,
+          status: 200,
+          statusText: 'OK',
+          text: async () => '{"success":false}',
+        }));
+
+        const cache = new HttpCache({ dir: tempDir, mode: 'cache' });
+        const client = new HttpClient({ cache });
+
+        await assert.rejects(
+          client.get('https://example.org', {
+            parse: () => {
+              throw new ApiError('Invalid access key');
+            },
+          }),
+          new ApiError('Invalid access key')
+        );
+
+        assert.equal(
+          await cache.read('https://example.org', { stable: true }),
+          null
+        );
+      });
+
+      it('should only reuse stable responses in cache mode', async () => {
+        global.fetch = mock.fn(async () => ({
+          ok: true,
+          status: 200,
+          statusText: 'OK',
+          text: async () => '{"value":1}',
+        }));
+
+        const client = new HttpClient({
+          cache: new HttpCache({ dir: tempDir, mode: 'cache' }),
+        });
+
+        await client.get('https://example.org/latest');
+        await client.get('https://example.org/latest');
+        assert.equal(global.fetch.mock.calls.length, 2);
+
+        await client.get('https://example.org/2024-01-01', { stable: true });
+        await client.get('https://example.org/2024-01-01', { stable: true });
+        assert.equal(global.fetch.mock.calls.length, 3);
+      });
+    });
+
     it('should work with zero retries', async () => {
       global.fetch = mock.fn(async () => {
         throw new Error('Network error');
@@ -344,6 +809,134 @@ describe('HttpClient', () => {
   });
 });
 
+describe('parseRetryAfter', () => {
+  it('should read delay seconds', () => {
+    assert.equal(parseRetryAfter('120'), 120_000);
+  });
+
+  it('should read HTTP dates', () => {
+    const now = Date.parse('Mon, 01 Jan 2024 00:00:00 GMT');
+
+    assert.equal(parseRetryAfter('Mon, 01 Jan 2024 00:00:30 GMT', now), 30_000);
+    assert.equal(parseRetryAfter('Sun, 31 Dec 2023 00:00:00 GMT', now), 0);
+  });
+
+  it('should ignore missing or invalid values', () => {
+    assert.equal(parseRetryAfter(null), null);
+    assert.equal(parseRetryAfter('soon'), null);
+  });
+});
+
+describe('retryDelay', () => {
+  const policy = { ...DEFAULT_RETRY_POLICY, backoff: 100, jitter: 0 };
+
+  it('should grow exponentially up to the max delay', () => {
+    const delays = [1, 2, 3, 4].map((attempt) => {
+      return retryDelay({ ...policy, maxDelay: 500 }, attempt);
+    });
+
+    assert.deepEqual(delays, [100, 200, 400, 500]);
+  });
+
+  it('should add random jitter', (t) => {
+    t.mock.method(Math, 'random', () => 0.5);
+
+    assert.equal(retryDelay({ ...policy, jitter: 0.2 }, 2), 220);
+  });
+
+  it('should prefer the server delay, capped as well', () => {
+    assert.equal(retryDelay(policy, 3, 0), 0);
+    assert.equal(retryDelay(policy, 1, 5_000), 5_000);
+    assert.equal(retryDelay(policy, 1, 60_000), policy.maxDelay);
+  });
+});
+
+describe('validateRates', () => {
+  it('should return valid data as is', () => {
+    const data = { date: '2024-01-01', rates: { USD: 1.1, JPY: 150 } };
+
+    assert.equal(validateRates(data), data);
+  });
+
+  it('should reject invalid dates', () => {
+    assert.throws(
+      () => validateRates({ date: '01/01/2024', rates: {} }),
+      new ApiError('Invalid date "01/01/2024" in response', {
+        code: 'invalid_payload',
+      })
+    );
+
+    assert.throws(
+      () => validateRates(undefined),
+      new ApiError('Invalid date "undefined" in response', {
+        code: 'invalid_payload',
+      })
+    );
+  });
+
+  it('should reject missing rates', () => {
+    assert.throws(
+      () => validateRates({ date: '2024-01-01' }),
+      new ApiError('Missing rates in response for 2024-01-01', {
+        code: 'invalid_payload',
+      })
+    );
+  });
+
+  it('should set rates that are not positive numbers apart', () => {
+    const logger = { warn: mock.fn() };
+    const data = {
+      date: '2024-01-01',
+      rates: { USD: '1.1', JPY: NaN, GBP: 0.85, CHF: null, SEK: 0 },
+    };
+
+    assert.deepEqual(validateRates(data, { logger }), {
+      date: '2024-01-01',
+      rates: { GBP: 0.85 },
+      invalid: { USD: '1.1', JPY: NaN, CHF: null, SEK: 0 },
+    });
+    assert.equal(
+      logger.warn.mock.calls[0].arguments[0],
+      'Skipping invalid rates for USD, JPY, CHF, SEK on 2024-01-01'
+    );
+  });
+
+  it('should mark validation errors as not retryable', () => {
+    assert.throws(
+      () => validateRates({ date: '2024-01-01', rates: [] }),
+      (error) => error.retryable === false
+    );
+  });
+});
+
+describe('compareQuotes', () => {
+  it('should list new and missing quotes, ignoring the base', () => {
+    const data = { date: '2024-01-01', rates: { EUR: 1, SLE: 24, USD: 1.1 } };
+
+    assert.deepEqual(compareQuotes(data, ['EUR', 'USD', 'SLL'], 'EUR'), {
+      added: ['SLE'],
+      missing: ['SLL'],
+    });
+    assert.deepEqual(compareQuotes(data, ['USD', 'SLE'], 'EUR'), {
+      added: [],
+      missing: [],
+    });
+  });
+
+  it('should not report quotes with invalid rates as missing', () => {
+    const data = {
+      date: '2024-01-01',
+      rates: { JPY: 161 },
+      invalid: { USD: 0 },
+    };
+
+    assert.deepEqual(compareQuotes(data, ['JPY', 'USD'], 'EUR'), {
+      added: [],
+      missing: [],
+    });
+  });
+});
+
 describe('dataToLines', () => {
   it('should filter and sort rates correctly', () => {
     const data = {
@@ -366,23 +959,22 @@ describe('dataToLines', () => {
     ]);
   });
 
-  it('should handle empty rates', () => {
+  it('should leave out empty and non-positive rates', () => {
     const data = {
       date: '2024-01-01',
       rates: {
         USD: null,
         EUR: undefined,
+        JPY: 0,
+        GBP: 0.85,
       },
     };
 
     const result = dataToLines(data, {
-      quotes: ['EUR', 'USD'],
+      quotes: ['EUR', 'GBP', 'JPY', 'USD'],
     });
 
-    assert.deepEqual(result, [
-      ['EUR', '2024-01-01,'],
-      ['USD', '2024-01-01,'],
-    ]);
+    assert.deepEqual(result, [['GBP', '2024-01-01,0.85']]);
   });
 
   it('should return empty array when no quotes match', () => {
@@ -402,6 +994,47 @@ describe('dataToLines', () => {
   });
 });
 
+describe('round', () => {
+  it('should round to significant digits', () => {
+    assert.equal(round(1.23456789, 4), 1.235);
+    assert.equal(round(48479.734519, 6), 48479.7);
+    assert.equal(round(0.0000315261, 3), 0.0000315);
+  });
+});
+
+describe('rebase', () => {
+  const data = {
+    date: '2024-01-01',
+    rates: {
+      EUR: 1,
+      USD: 1.1,
+      JPY: 155.1,
+      XXX: null,
+    },
+  };
+
+  it('should derive cross rates against the new base', () => {
+    const result = rebase(data, 'USD', { precision: 6 });
+
+    assert.deepEqual(result, {
+      date: '2024-01-01',
+      rates: {
+        EUR: 0.909091,
+        USD: 1,
+        JPY: 141,
+        XXX: null,
+      },
+    });
+  });
+
+  it('should throw when the base rate is missing', () => {
+    assert.throws(
+      () => rebase(data, 'GBP', { precision: 6 }),
+      new Error('No "GBP" rate on 2024-01-01 to derive from')
+    );
+  });
+});
+
 describe('Concurrency', () => {
   it('should execute all promises and return results in order', async () => {
     const promises = [
@@ -477,6 +1110,69 @@ describe('Concurrency', () => {
       new Error('Failed')
     );
   });
+
+  it('should not start new tasks after a rejection', async () => {
+    const started = [];
+
+    const promises = [1, 2, 3, 4].map((i) => async () => {
+      started.push(i);
+
+      if (i === 1) {
+        throw new Error('Failed');
+      }
+    });
+
+    await assert.rejects(
+      new Concurrency(promises).run({ batchSize: 1 }),
+      new Error('Failed')
+    );
+
+    assert.deepEqual(started, [1]);
+  });
+
+  it('should log rejected tasks when settling', async () => {
+    const logger = { debug: mock.fn(), info() {}, warn() {}, error() {} };
+    const promises = [() => Promise.reject(new Error('Failed'))];
+
+    await new Concurrency(promises, { logger }).run({
+      batchSize: 1,
+      settle: true,
+    });
+
+    assert.deepEqual(
+      logger.debug.mock.calls.map((call) => call.arguments[0]),
+      ['Task 0 failed: Failed', 'Settled 1 task(s), 1 rejected']
+    );
+  });
+
+  it('should collect every outcome when settling', async () => {
+    const error = new Error('Failed');
+    const promises = [
+      () => Promise.resolve(1),
+      () => Promise.reject(error),
+      () => Promise.resolve(3),
+    ];
+
+    const summary = await new Concurrency(promises).run({
+      batchSize: 1,
+      settle: true,
+    });
+
+    assert.equal(summary.fulfilled, 2);
+    assert.equal(summary.rejected, 1);
+
+    assert.deepEqual(
+      summary.outcomes.map(({ duration, ...outcome }) => {
+        assert.equal(typeof duration, 'number');
+        return outcome;
+      }),
+      [
+        { status: 'fulfilled', value: 1 },
+        { status: 'rejected', error },
+        { status: 'fulfilled', value: 3 },
+      ]
+    );
+  });
 });
 
 describe('writeLine', () => {
@@ -543,16 +1239,93 @@ describe('appendLine', () => {
   });
 });
 
+describe('writeQuotes', () => {
+  it('should run every task and report the failed quotes', async () => {
+    const done = [];
+
+    const task = (quote, error) => {
+      return [
+        quote,
+        async () => {
+          if (error) {
+            throw new Error(error);
+          }
+
+          done.push(quote);
+        },
+      ];
+    };
+
+    await assert.rejects(
+      writeQuotes([
+        task('EUR'),
+        task('JPY', 'disk full'),
+        task('USD'),
+        task('ZAR', 'read only'),
+      ]),
+      (error) => {
+        assert.ok(error instanceof WriteError);
+        assert.equal(
+          error.message,
+          'Failed to write 2 quote(s): JPY (disk full), ZAR (read only)'
+        );
+        assert.deepEqual([...error.failures.keys()], ['JPY', 'ZAR']);
+        return true;
+      }
+    );
+
+    assert.deepEqual(done, ['EUR', 'USD']);
+  });
+});
+
+describe('createCsvWriter', () => {
+  it('should pass one sorted line per quote to the handler', async () => {
+    const handlerMock = mock.fn(() => Promise.resolve());
+
+    const write = createCsvWriter({
+      path: (quote) => `/path/${quote}.csv`,
+      handler: handlerMock,
+    });
+
+    await write({ date: '2024-01-01', rates: { USD: 1.2, EUR: 1 } });
+
+    const calls = handlerMock.mock.calls.map((call) => call.arguments);
+
+    assert.deepEqual(calls, [
+      ['/path/EUR.csv', '2024-01-01,1'],
+      ['/path/USD.csv', '2024-01-01,1.2'],
+    ]);
+  });
+});
+
 describe('Fetcher', () => {
   let httpClient;
   let fetcher;
+  let originalConsoleLog;
 
   beforeEach(() => {
     httpClient = {
       get: mock.fn(),
     };
+
+    originalConsoleLog = console.log;
+    console.log = mock.fn();
   });
 
+  afterEach(() => {
+    console.log = originalConsoleLog;
+  });
+
+  /**
+   * Mocks `httpClient.get` to respond with `body`, running the parse
+   * option the way `HttpClient` does.
+   */
+  const respond = (body) => {
+    httpClient.get.mock.mockImplementation(async (url, options) => {
+      return options.parse(body);
+    });
+  };
+
   it('should fetch data and process lines', async () => {
     const mockData = {
       date: '2024-01-01',
@@ -625,6 +1398,215 @@ describe('Fetcher', () => {
     assert.equal(pathMock.mock.calls.length, 0);
   });
 
+  it('should report every quote and reject on failures', async () => {
+    httpClient.get.mock.mockImplementation(async () => ({
+      date: '2024-01-01',
+      rates: { EUR: 1, JPY: 160, USD: 1.2 },
+    }));
+
+    const logger = { debug() {}, info: mock.fn(), warn() {}, error: mock.fn() };
+
+    fetcher = new Fetcher({
+      httpClient,
+      quotes: ['EUR', 'JPY', 'USD'],
+      logger,
+    });
+
+    await assert.rejects(
+      fetcher.run('http://example.org', {
+        path: (quote) => `/path/${quote}.txt`,
+        handler: async (path) => {
+          if (path.includes('JPY')) {
+            throw new Error('disk full');
+          }
+
+          return !path.includes('USD');
+        },
+      }),
+      {
+        name: 'WriteError',
+        message: 'Failed to write 1 quote(s): JPY (disk full)',
+      }
+    );
+
+    const lines = (log) => {
+      return log.mock.calls.map((call) => {
+        return call.arguments[0].replace(/\(\d+ms\)/, '(0ms)');
+      });
+    };
+
+    assert.deepEqual(lines(logger.info), [
+      '2024-01-01 EUR: ok (0ms)',
+      '2024-01-01 USD: skipped (0ms)',
+    ]);
+    assert.deepEqual(lines(logger.error), [
+      '2024-01-01 JPY: failed (0ms) disk full',
+    ]);
+    assert.equal(logger.error.mock.calls[0].arguments[1].quote, 'JPY');
+  });
+
+  it('should write already fetched data', async () => {
+    const handlerMock = mock.fn(() => Promise.resolve());
+
+    fetcher = new Fetcher({
+      httpClient,
+      quotes: ['USD'],
+    });
+
+    await fetcher.write(
+      { date: '2024-01-01', rates: { USD: 1.2, JPY: 150 } },
+      {
+        path: (quote) => `/path/${quote}.txt`,
+        handler: handlerMock,
+      }
+    );
+
+    assert.equal(httpClient.get.mock.calls.length, 0);
+    assert.deepEqual(handlerMock.mock.calls[0].arguments, [
+      '/path/USD.txt',
+      '2024-01-01,1.2',
+    ]);
+  });
+
+  it('should parse responses with the given provider', async () => {
+    respond('<payload/>');
+
+    const provider = {
+      format: 'text',
+      url: () => 'http://example.org',
+      parse: mock.fn(() => ({
+        date: '2024-01-01',
+        rates: { USD: 1.2 },
+      })),
+      error: () => null,
+    };
+
+    fetcher = new Fetcher({
+      httpClient,
+      quotes: ['USD'],
+      provider,
+    });
+
+    const result = await fetcher.fetch('http://example.org', '2024-01-01');
+
+    assert.deepEqual(result, { date: '2024-01-01', rates: { USD: 1.2 } });
+    assert.equal(httpClient.get.mock.calls[0].arguments[1].format, 'text');
+    assert.deepEqual(provider.parse.mock.calls[0].arguments, [
+      '<payload/>',
+      '2024-01-01',
+    ]);
+  });
+
+  it('should download shared feeds once for every date', async () => {
+    respond('<feed/>');
+
+    const provider = {
+      format: 'text',
+      url: () => 'http://example.org/feed',
+      shared: () => true,
+      parse: (body, date) => ({ date, rates: { USD: 1.2 } }),
+      error: () => null,
+    };
+
+    fetcher = new Fetcher({
+      httpClient,
+      quotes: ['USD'],
+      provider,
+    });
+
+    const dates = await Promise.all(
+      ['2024-01-01', '2024-01-02'].map(async (date) => {
+        return (await fetcher.fetch('http://example.org/feed', date)).date;
+      })
+    );
+
+    assert.deepEqual(dates, ['2024-01-01', '2024-01-02']);
+    assert.equal(httpClient.get.mock.calls.length, 1);
+  });
+
+  it('should download shared feeds again after a failure', async () => {
+    httpClient.get.mock.mockImplementationOnce(() =>
+      Promise.reject(new Error('Network error'))
+    );
+
+    const provider = {
+      format: 'text',
+      url: () => 'http://example.org/feed',
+      shared: () => true,
+      parse: (body, date) => ({ date, rates: { USD: 1.2 } }),
+      error: () => null,
+    };
+
+    fetcher = new Fetcher({
+      httpClient,
+      quotes: ['USD'],
+      provider,
+    });
+
+    await assert.rejects(
+      fetcher.fetch('http://example.org/feed', '2024-01-01'),
+      new Error('Network error')
+    );
+
+    respond('<feed/>');
+
+    assert.equal(
+      (await fetcher.fetch('http://example.org/feed', '2024-01-01')).date,
+      '2024-01-01'
+    );
+    assert.equal(httpClient.get.mock.calls.length, 2);
+  });
+
+  it('should throw errors detected by the provider', async () => {
+    respond({ success: false, error: { code: 104 } });
+
+    fetcher = new Fetcher({
+      httpClient,
+      quotes: ['USD'],
+    });
+
+    await assert.rejects(
+      fetcher.run('http://example.org', {
+        path: () => '/path',
+        handler: () => Promise.resolve(),
+      }),
+      new ApiError('API error 104: unknown', { code: 104 })
+    );
+  });
+
+  it('should skip invalid rates of a payload', async () => {
+    respond({ date: '2024-01-01', rates: { USD: 'n/a', JPY: 150 } });
+
+    fetcher = new Fetcher({
+      httpClient,
+      quotes: ['USD', 'JPY'],
+    });
+
+    assert.deepEqual(await fetcher.fetch('http://example.org'), {
+      date: '2024-01-01',
+      rates: { JPY: 150 },
+      invalid: { USD: 'n/a' },
+    });
+  });
+
+  it('should pass the configured quotes to a custom writer', async () => {
+    const writerMock = mock.fn(() => Promise.resolve());
+
+    fetcher = new Fetcher({
+      httpClient,
+      quotes: ['USD'],
+    });
+
+    await fetcher.write(
+      { date: '2024-01-01', rates: { USD: 1.2, JPY: 150 } },
+      { writer: writerMock }
+    );
+
+    assert.deepEqual(writerMock.mock.calls[0].arguments, [
+      { date: '2024-01-01', rates: { USD: 1.2 } },
+    ]);
+  });
+
   it('should propagate httpClient errors', async () => {
     httpClient.get.mock.mockImplementation(() =>
       Promise.reject(new Error('Network error'))
@@ -0,0 +1,177 @@
+import { readdir, readFile } from 'fs/promises';
+import { join } from 'path';
+import { parseLine } from './history.js';
+import { isDate } from './utils.js';
+
+/**
+ * @typedef {object} Problem
+ * @property {number} line
+ * @property {'malformed' | 'blank' | 'order' | 'duplicate' | 'gap'} type
+ * @property {'error' | 'warning'} severity
+ * @property {string} message
+ */
+
+/**
+ * @param {string} from
+ * @param {string} to
+ * @returns {number}
+ */
+const missingWeekdays = (from, to) => {
+  let count = 0;
+
+  for (
+    let time = Date.parse(from) + 86400000;
+    time < Date.parse(to);
+    time += 86400000
+  ) {
+    const day = new Date(time).getUTCDay();
+
+    if (day !== 0 && day !== 6) {
+      count++;
+    }
+  }
+
+  return count;
+};
+
+/**
+ * Checks the content of a history file and returns every problem found
+ * with its 1-based line number. Gaps are only reported when more than
+ * `maxGap` weekdays are missing between two consecutive rows, so that
+ * weekends and public holidays are not flagged. Since the upstream
+ * history has genuine holes, gaps are warnings and everything else is
+ * an error.
+ *
+ * @param {string} content
+ * @param {object=} options
+ * @param {number=} options.maxGap
+ * @returns {Problem[]}
+ */
+export const verifyContent = (content, options = {}) => {
+  const maxGap = options.maxGap ?? 2;
+  const problems = [];
+  const seen = new Map();
+  const lines = content.split('\n');
+  let previous;
+
+  if (lines[lines.length - 1] === '') {
+    lines.pop();
+  } else if (lines.length > 0) {
+    problems.push({
+      line: lines.length,
+      type: 'malformed',
+      severity: 'error',
+      message: 'missing trailing newline',
+    });
+  }
+
+  lines.forEach((text, index) => {
+    const line = index + 1;
+    const [date, rate] = parseLine(text);
+
+    if (!text.includes(',') || !isDate(date)) {
+      problems.push({
+        line,
+        type: 'malformed',
+        severity: 'error',
+        message: `cannot parse "${text}"`,
+      });
+
+      return;
+    }
+
+    if (rate === '') {
+      problems.push({
+        line,
+        type: 'blank',
+        severity: 'error',
+        message: `blank rate on ${date}`,
+      });
+    } else if (!(Number(rate) > 0) || !Number.isFinite(Number(rate))) {
+      problems.push({
+        line,
+        type: 'malformed',
+        severity: 'error',
+        message: `invalid rate "${rate}" on ${date}`,
+      });
+    }
+
+    if (seen.has(date)) {
+      problems.push({
+        line,
+        type: 'duplicate',
+        severity: 'error',
+        message: `duplicate ${date}, first seen on line ${seen.get(date)}`,
+      });
+    } else {
+      seen.set(date, line);
+    }
+
+    if (previous && date < previous) {
+      problems.push({
+        line,
+        type: 'order',
+        severity: 'error',
+        message: `${date} comes after ${previous}`,
+      });
+    }
+
+    if (previous && date > previous) {
+      const missing = missingWeekdays(previous, date);
+
+      if (missing > maxGap) {
+        problems.push({
+          line,
+          type: 'gap',
+          severity: 'warning',
+          message: `${missing} weekdays missing after ${previous}`,
+        });
+      }
+    }
+
+    if (!previous || date > previous) {
+      previous = date;
+    }
+  });
+
+  return problems;
+};
+
+/**
+ * @param {string} path
+ * @param {object=} options
+ * @param {number=} options.maxGap
+ * @returns {Promise<Problem[]>}
+ */
+export const verifyFile = async (path, options) => {
+  const content = await readFile(path, 'utf-8');
+
+  return verifyContent(content, options);
+};
+
+/**
+ * Verifies every CSV file in `dir` and returns problems per file name,
+ * leaving out files that have none.
+ *
+ * @param {string} dir
+ * @param {object=} options
+ * @param {number=} options.maxGap
+ * @returns {Promise<Map<string, Problem[]>>}
+ */
+export const verifyDir = async (dir, options) => {
+  const names = (await readdir(dir))
+    .filter((name) => name.endsWith('.csv'))
+    .sort();
+
+  const report = new Map();
+
+  for (const name of names) {
+    const problems = await verifyFile(join(dir, name), options);
+
+    if (problems.length > 0) {
+      report.set(name, problems);
+    }
+  }
+
+  return report;
+};
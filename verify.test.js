@@ -0,0 +1,132 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { verifyContent, verifyDir, verifyFile } from './verify.js';
+
+describe('verifyContent', () => {
+  it('should return no problems for a valid history', () => {
+    const content = '2024-01-04,1.1\n2024-01-05,1.2\n2024-01-08,1.3\n';
+
+    assert.deepEqual(verifyContent(content), []);
+  });
+
+  it('should return no problems for an empty file', () => {
+    assert.deepEqual(verifyContent(''), []);
+  });
+
+  it('should report malformed lines', () => {
+    const content = '2024-01-01,1\nbroken\n2024-01-02,abc\n';
+
+    assert.deepEqual(verifyContent(content), [
+      {
+        line: 2,
+        type: 'malformed',
+        severity: 'error',
+        message: 'cannot parse "broken"',
+      },
+      {
+        line: 3,
+        type: 'malformed',
+        severity: 'error',
+        message: 'invalid rate "abc" on 2024-01-02',
+      },
+    ]);
+  });
+
+  it('should report a missing trailing newline', () => {
+    const [problem] = verifyContent('2024-01-01,1\n2024-01-02,1');
+
+    assert.equal(problem.line, 2);
+    assert.equal(problem.type, 'malformed');
+  });
+
+  it('should report blank rates', () => {
+    const [problem] = verifyContent('2024-01-01,1\n2024-01-02,\n');
+
+    assert.deepEqual(problem, {
+      line: 2,
+      type: 'blank',
+      severity: 'error',
+      message: 'blank rate on 2024-01-02',
+    });
+  });
+
+  it('should report duplicate dates', () => {
+    const [problem] = verifyContent('2024-01-01,1\n2024-01-01,1\n');
+
+    assert.deepEqual(problem, {
+      line: 2,
+      type: 'duplicate',
+      severity: 'error',
+      message: 'duplicate 2024-01-01, first seen on line 1',
+    });
+  });
+
+  it('should report out-of-order dates', () => {
+    const content = '2024-01-02,1\n2024-01-03,1\n2024-01-01,1\n';
+
+    assert.deepEqual(verifyContent(content), [
+      {
+        line: 3,
+        type: 'order',
+        severity: 'error',
+        message: '2024-01-01 comes after 2024-01-03',
+      },
+    ]);
+  });
+
+  it('should not report weekends as gaps', () => {
+    const content = '2024-01-05,1\n2024-01-08,1\n';
+
+    assert.deepEqual(verifyContent(content, { maxGap: 0 }), []);
+  });
+
+  it('should report gaps beyond the allowed weekdays', () => {
+    const content = '2024-01-01,1\n2024-01-05,1\n';
+
+    assert.deepEqual(verifyContent(content, { maxGap: 2 }), [
+      {
+        line: 2,
+        type: 'gap',
+        severity: 'warning',
+        message: '3 weekdays missing after 2024-01-01',
+      },
+    ]);
+
+    assert.deepEqual(verifyContent(content, { maxGap: 3 }), []);
+  });
+});
+
+describe('verify files', () => {
+  let tempDir;
+
+  beforeEach(async () => {
+    tempDir = await mkdtemp(join(tmpdir(), 'verify-'));
+  });
+
+  afterEach(async () => {
+    await rm(tempDir, { recursive: true, force: true });
+  });
+
+  it('should verify a single file', async () => {
+    const path = join(tempDir, 'USD.csv');
+    await writeFile(path, '2024-01-01,\n');
+
+    const problems = await verifyFile(path);
+
+    assert.equal(problems.length, 1);
+    assert.equal(problems[0].type, 'blank');
+  });
+
+  it('should report only CSV files with problems', async () => {
+    await writeFile(join(tempDir, 'USD.csv'), '2024-01-01,1\n');
+    await writeFile(join(tempDir, 'JPY.csv'), '2024-01-01,\n');
+    await writeFile(join(tempDir, 'notes.txt'), 'broken');
+
+    const report = await verifyDir(tempDir);
+
+    assert.deepEqual([...report.keys()], ['JPY.csv']);
+  });
+});